@@ -9,6 +9,9 @@ const connectDB = require("./config/db");
 const authRoutes = require("./routes/authRoutes"); 
 const eventRoutes = require("./routes/eventRoutes");
 const buildingRoutes = require("./routes/buildingRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const routeRoutes = require("./routes/routeRoutes");
+const wellKnownRoutes = require("./routes/wellKnownRoutes");
 require("dotenv").config();
 
 /**
@@ -17,7 +20,14 @@ require("dotenv").config();
  */
 const app = express();
 
+// Behind a reverse proxy, req.ip must come from X-Forwarded-For for per-IP throttling
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", process.env.TRUST_PROXY);
+}
+
 // Middleware
+// Path network imports are larger than other request bodies
+app.use("/route/graph", express.json({ limit: "5mb" }));
 app.use(express.json());
 app.use(cors());
 
@@ -25,5 +35,8 @@ app.use(cors());
 app.use("/auth", authRoutes); 
 app.use("/event", eventRoutes);
 app.use("/building", buildingRoutes);
+app.use("/admin", adminRoutes);
+app.use("/route", routeRoutes);
+app.use("/.well-known", wellKnownRoutes);
 
 module.exports = app;
\ No newline at end of file
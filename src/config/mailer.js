@@ -0,0 +1,74 @@
+/**
+ * @module config/mailer
+ * @description Email delivery settings: which transport driver sends mail, SMTP connection
+ * options, the development outbox and the branding used by email templates
+ */
+
+const path = require("path");
+require("dotenv").config();
+
+/**
+ * Transport driver, from MAIL_DRIVER: "smtp" (default), "file" (JSON outbox) or "console"
+ * @type {string}
+ */
+const MAIL_DRIVER = ["smtp", "file", "console"].includes(process.env.MAIL_DRIVER)
+    ? process.env.MAIL_DRIVER
+    : "smtp";
+
+/**
+ * Sender address, from MAIL_FROM (default: EMAIL_USER)
+ * @type {string}
+ */
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER;
+
+/**
+ * Nodemailer options for the SMTP driver. SMTP_HOST selects a specific server;
+ * otherwise the well-known service in SMTP_SERVICE (default: gmail) is used.
+ * @type {Object}
+ */
+const SMTP_OPTIONS = {
+    ...(process.env.SMTP_HOST
+        ? {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true"
+        }
+        : { service: process.env.SMTP_SERVICE || "gmail" }),
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+    }
+};
+
+/**
+ * Directory the file driver writes messages to, from MAIL_OUTBOX_DIR (default: ./mail-outbox)
+ * @type {string}
+ */
+const MAIL_OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || "mail-outbox");
+
+/**
+ * Locale used when a recipient has no language preference, from MAIL_DEFAULT_LOCALE (default: en)
+ * @type {string}
+ */
+const MAIL_DEFAULT_LOCALE = process.env.MAIL_DEFAULT_LOCALE || "en";
+
+/**
+ * Branding applied to every email
+ * @type {{appName: string, primaryColor: string, logoUrl: string|null, supportEmail: string|null, appUrl: string}}
+ */
+const MAIL_BRANDING = {
+    appName: process.env.MAIL_APP_NAME || "Xplore NU",
+    primaryColor: process.env.MAIL_PRIMARY_COLOR || "#c8102e",
+    logoUrl: process.env.MAIL_LOGO_URL || null,
+    supportEmail: process.env.MAIL_SUPPORT_EMAIL || null,
+    appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`
+};
+
+module.exports = {
+    MAIL_DRIVER,
+    MAIL_FROM,
+    SMTP_OPTIONS,
+    MAIL_OUTBOX_DIR,
+    MAIL_DEFAULT_LOCALE,
+    MAIL_BRANDING
+};
@@ -0,0 +1,83 @@
+/**
+ * @module config/oidc
+ * @description OpenID Connect single sign-on provider configuration
+ */
+
+require("dotenv").config();
+
+/**
+ * @typedef {Object} OidcProviderConfig
+ * @property {string} id - Provider ID used in URLs, e.g. "northeastern"
+ * @property {string} [name] - Display name of the provider
+ * @property {string} issuer - Issuer URL; discovery is read from `${issuer}/.well-known/openid-configuration`
+ * @property {string} clientId - OAuth client ID registered with the provider
+ * @property {string} [clientSecret] - Client secret; omit for public clients relying on PKCE alone
+ * @property {string} redirectUri - Callback URL registered with the provider, ending in /auth/oidc/:id/callback
+ * @property {string[]} [scopes] - Scopes to request (default: openid, email, profile)
+ * @property {string} [roleClaim] - ID token claim the role is derived from, e.g. "eduPersonAffiliation"
+ * @property {Object<string, string>} [roleMap] - Maps role claim values to user roles (student, visitor or organizer)
+ * @property {string} [defaultRole] - Role when no claim value matches (default: visitor)
+ * @property {boolean} [trustEmail] - Accept the email claim even without email_verified (default: false)
+ */
+
+/**
+ * Roles that may be granted from identity provider claims. Admin is never derived from claims.
+ * @type {string[]}
+ */
+const CLAIMABLE_ROLES = ["visitor", "student", "organizer"];
+
+/**
+ * Parses and validates the OIDC_PROVIDERS environment variable (a JSON array of provider configs)
+ * @function loadProviders
+ * @returns {OidcProviderConfig[]} Configured providers
+ */
+const loadProviders = () => {
+    if (!process.env.OIDC_PROVIDERS) return [];
+
+    let providers;
+    try {
+        providers = JSON.parse(process.env.OIDC_PROVIDERS);
+    } catch (error) {
+        console.error("Invalid OIDC_PROVIDERS configuration:", error.message);
+        return [];
+    }
+
+    return providers.filter(provider => {
+        const valid = provider.id && provider.issuer && provider.clientId && provider.redirectUri;
+        if (!valid) {
+            console.error(`Ignoring OIDC provider "${provider.id}": id, issuer, clientId and redirectUri are required.`);
+        }
+        return valid;
+    }).map(provider => ({
+        name: provider.id,
+        scopes: ["openid", "email", "profile"],
+        roleMap: {},
+        defaultRole: "visitor",
+        trustEmail: false,
+        ...provider,
+        issuer: provider.issuer.replace(/\/+$/, "")
+    }));
+};
+
+/**
+ * Configured providers, loaded once at startup
+ * @type {OidcProviderConfig[]}
+ */
+const providers = loadProviders();
+
+/**
+ * Looks up a configured provider by ID
+ * @function getProvider
+ * @param {string} id - Provider ID
+ * @returns {OidcProviderConfig|undefined} Provider config, or undefined if not configured
+ */
+const getProvider = (id) => providers.find(provider => provider.id === id);
+
+/**
+ * Lists the configured providers
+ * @function listProviders
+ * @returns {OidcProviderConfig[]} Provider configs
+ */
+const listProviders = () => providers;
+
+module.exports = { CLAIMABLE_ROLES, getProvider, listProviders };
@@ -0,0 +1,77 @@
+/**
+ * @module config/permissions
+ * @description Role to permission map, API key scopes and guest scopes used by the authorize middleware
+ */
+
+/**
+ * Permissions that can be required by routes
+ * @readonly
+ * @enum {string}
+ */
+const PERMISSIONS = Object.freeze({
+    BUILDINGS_READ: "buildings:read",
+    BUILDINGS_WRITE: "buildings:write",
+    PATHS_WRITE: "paths:write",
+    EVENTS_READ: "events:read",
+    EVENTS_CREATE: "events:create",
+    EVENTS_UPDATE: "events:update",
+    USERS_READ: "users:read",
+    USERS_MANAGE: "users:manage",
+    USERS_IMPERSONATE: "users:impersonate",
+    USERS_INVITE: "users:invite",
+    API_KEYS_MANAGE: "api_keys:manage",
+    AUDIT_READ: "audit:read"
+});
+
+/**
+ * Permissions granted to each user role
+ * @type {Object<string, string[]>}
+ */
+const ROLE_PERMISSIONS = Object.freeze({
+    visitor: [
+        PERMISSIONS.BUILDINGS_READ,
+        PERMISSIONS.EVENTS_READ
+    ],
+    student: [
+        PERMISSIONS.BUILDINGS_READ,
+        PERMISSIONS.EVENTS_READ
+    ],
+    organizer: [
+        PERMISSIONS.BUILDINGS_READ,
+        PERMISSIONS.EVENTS_READ,
+        PERMISSIONS.EVENTS_CREATE,
+        PERMISSIONS.EVENTS_UPDATE
+    ],
+    admin: Object.values(PERMISSIONS)
+});
+
+/**
+ * Permissions an API key can be granted. Keys act for a kiosk or service rather than a
+ * person, so they are limited to read access.
+ * @type {string[]}
+ */
+const API_KEY_SCOPES = Object.freeze([
+    PERMISSIONS.BUILDINGS_READ,
+    PERMISSIONS.EVENTS_READ
+]);
+
+/**
+ * Permissions granted to anonymous guest tokens: browsing buildings and events only
+ * @type {string[]}
+ */
+const GUEST_SCOPES = Object.freeze([
+    PERMISSIONS.BUILDINGS_READ,
+    PERMISSIONS.EVENTS_READ
+]);
+
+/**
+ * Checks whether a role grants a permission
+ * @function hasPermission
+ * @param {string} role - User role
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if the role grants the permission, false otherwise
+ */
+const hasPermission = (role, permission) =>
+    (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, API_KEY_SCOPES, GUEST_SCOPES, hasPermission };
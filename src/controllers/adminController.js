@@ -0,0 +1,337 @@
+/**
+ * @module controllers/adminController
+ * @description Handles admin management of user accounts: listing, role changes, disabling, forced logout
+ * and impersonation for support
+ */
+
+const User = require('../models/user');
+const mongoose = require('mongoose');
+const { serializeUser, USER_PUBLIC_PROJECTION } = require('../utils/serializeUser');
+const { revokeAllSessions } = require('../utils/sessions');
+const { signImpersonationToken, IMPERSONATION_TOKEN_TTL_SECONDS } = require('../utils/tokens');
+const { recordAudit, logAudit, diffFields } = require('../utils/audit');
+
+/**
+ * Default and maximum page sizes for user listings
+ * @type {{defaultLimit: number, maxLimit: number}}
+ */
+const PAGINATION = { defaultLimit: 20, maxLimit: 100 };
+
+/**
+ * Roles an admin can assign
+ * @type {string[]}
+ */
+const ASSIGNABLE_ROLES = User.schema.path('role').enumValues;
+
+/**
+ * Escapes a string for literal use inside a regular expression
+ * @function escapeRegex
+ * @param {string} value - Raw search text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Loads the user targeted by an admin action, answering 400/404 itself when it cannot
+ * @async
+ * @function findTargetUser
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} User document, or null if a response has been sent
+ */
+const findTargetUser = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: 'Invalid user ID format' });
+    return null;
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Lists users with pagination, search by name or email, and role/status filters
+ * @async
+ * @function listUsers
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number, starting at 1
+ * @param {number} [req.query.limit=20] - Page size (at most 100)
+ * @param {string} [req.query.search] - Case-insensitive text matched against first name, last name and email
+ * @param {string} [req.query.role] - Only users with this role
+ * @param {string} [req.query.disabled] - "true" or "false" to filter by account status
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with a page of users and pagination info, or error message
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PAGINATION.defaultLimit, 1), PAGINATION.maxLimit);
+    const { search, role, disabled } = req.query;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search)), 'i');
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+    if (role) {
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+      }
+      filter.role = role;
+    }
+    if (disabled === 'true' || disabled === 'false') {
+      filter.disabled = disabled === 'true';
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select(USER_PUBLIC_PROJECTION)
+        .sort({ lastName: 1, firstName: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.status(200).json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      users: users.map(serializeUser)
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ message: 'Error fetching users', error: error.message });
+  }
+};
+
+/**
+ * Retrieves a single user by ID
+ * @async
+ * @function getUser
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - User ID to retrieve
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user or error message
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    res.status(200).json({ user: serializeUser(user) });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ message: 'Error fetching user', error: error.message });
+  }
+};
+
+/**
+ * Changes a user's role. Admins cannot change their own role.
+ * @async
+ * @function changeUserRole
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - User ID to update
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.role - New role
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the acting admin
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated user or error message
+ */
+exports.changeUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === String(req.user.userId)) {
+      return res.status(400).json({ message: 'You cannot change your own role.' });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    logAudit(req, {
+      action: 'user.role_changed',
+      target: { type: 'User', id: user._id },
+      diff: diffFields({ role: previousRole }, user, ['role'])
+    });
+
+    res.status(200).json({ message: 'User role updated successfully', user: serializeUser(user) });
+  } catch (error) {
+    console.error('Error changing user role:', error);
+    res.status(500).json({ message: 'Error changing user role', error: error.message });
+  }
+};
+
+/**
+ * Disables a user account and logs it out everywhere. Admins cannot disable themselves.
+ * @async
+ * @function disableUser
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - User ID to disable
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the acting admin
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated user or error message
+ */
+exports.disableUser = async (req, res) => {
+  try {
+    if (req.params.id === String(req.user.userId)) {
+      return res.status(400).json({ message: 'You cannot disable your own account.' });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.disabled = true;
+    user.disabledAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id);
+    logAudit(req, { action: 'user.disabled', target: { type: 'User', id: user._id } });
+
+    res.status(200).json({ message: 'User disabled successfully', user: serializeUser(user) });
+  } catch (error) {
+    console.error('Error disabling user:', error);
+    res.status(500).json({ message: 'Error disabling user', error: error.message });
+  }
+};
+
+/**
+ * Re-enables a disabled user account
+ * @async
+ * @function enableUser
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - User ID to enable
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated user or error message
+ */
+exports.enableUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.disabled = false;
+    user.disabledAt = null;
+    await user.save();
+    logAudit(req, { action: 'user.enabled', target: { type: 'User', id: user._id } });
+
+    res.status(200).json({ message: 'User enabled successfully', user: serializeUser(user) });
+  } catch (error) {
+    console.error('Error enabling user:', error);
+    res.status(500).json({ message: 'Error enabling user', error: error.message });
+  }
+};
+
+/**
+ * Logs a user out of every device
+ * @async
+ * @function forceLogoutUser
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - User ID to log out
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the number of sessions ended or error message
+ */
+exports.forceLogoutUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const count = await revokeAllSessions(user._id);
+    logAudit(req, { action: 'user.logged_out', target: { type: 'User', id: user._id }, metadata: { sessions: count } });
+
+    res.status(200).json({ message: 'User logged out of all devices', count });
+  } catch (error) {
+    console.error('Error logging out user:', error);
+    res.status(500).json({ message: 'Error logging out user', error: error.message });
+  }
+};
+
+/**
+ * Issues a short-lived access token acting as another user, so support can see what they see.
+ * The token names the admin in its `act` claim, is read-only unless writes are allowed, and
+ * its issue and every request made with it are recorded in the audit log. Admin accounts
+ * and disabled accounts cannot be impersonated.
+ * @async
+ * @function impersonateUser
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - User ID to impersonate
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Why the admin needs to act as the user, e.g. a ticket number
+ * @param {boolean} [req.body.allowWrites=false] - Whether the token may change data
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the acting admin
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the impersonation token or error message
+ */
+exports.impersonateUser = async (req, res) => {
+  try {
+    const { reason, allowWrites = false } = req.body;
+
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      return res.status(400).json({ message: 'A reason is required to impersonate a user.' });
+    }
+
+    if (typeof allowWrites !== 'boolean') {
+      return res.status(400).json({ message: 'allowWrites must be true or false.' });
+    }
+
+    if (req.params.id === String(req.user.userId)) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself.' });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === 'admin') {
+      return res.status(403).json({ message: 'Admin accounts cannot be impersonated.' });
+    }
+
+    if (user.disabled) {
+      return res.status(400).json({ message: 'Disabled accounts cannot be impersonated.' });
+    }
+
+    const admin = await User.findById(req.user.userId).select('email');
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TOKEN_TTL_SECONDS * 1000);
+
+    // The token is only handed out once its issue has been recorded
+    await recordAudit(req, {
+      action: 'impersonation.start',
+      target: { type: 'User', id: user._id },
+      metadata: { reason: reason.trim(), allowWrites, expiresAt }
+    });
+
+    const accessToken = await signImpersonationToken(user, admin, { allowWrites });
+
+    res.status(200).json({
+      message: `You are now acting as ${user.email}. Every request is audited.`,
+      accessToken,
+      expiresAt,
+      allowWrites,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('Error impersonating user:', error);
+    res.status(500).json({ message: 'Error impersonating user', error: error.message });
+  }
+};
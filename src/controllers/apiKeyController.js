@@ -0,0 +1,168 @@
+/**
+ * @module controllers/apiKeyController
+ * @description Handles admin management of API keys used by kiosks and internal services
+ */
+
+const ApiKey = require('../models/apiKey');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const hashToken = require('../utils/hashToken');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { logAudit } = require('../utils/audit');
+
+/**
+ * Prefix of every API key, so leaked keys are easy to recognize
+ * @type {string}
+ */
+const KEY_PREFIX = 'xnu_';
+
+/**
+ * Number of leading key characters stored in clear to identify a key in listings
+ * @type {number}
+ */
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Converts an API key document into its API representation. The hash is never returned.
+ * @function serializeApiKey
+ * @param {Object} apiKey - ApiKey document or plain object
+ * @returns {Object} Public API key representation
+ */
+const serializeApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  created_by: apiKey.created_by,
+  created_at: apiKey.created_at,
+  expiresAt: apiKey.expiresAt,
+  last_used_at: apiKey.last_used_at,
+  last_used_ip: apiKey.last_used_ip,
+  revokedAt: apiKey.revokedAt,
+  revoked_by: apiKey.revoked_by
+});
+
+/**
+ * Creates an API key. The key is returned once in the response and cannot be retrieved later.
+ * @async
+ * @function createApiKey
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Label describing who uses the key
+ * @param {string[]} req.body.scopes - Permissions to grant (see config/permissions API_KEY_SCOPES)
+ * @param {string} [req.body.expiresAt] - ISO date after which the key stops working
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the acting admin
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new key or error message
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({ message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ message: 'expiresAt must be a valid date in the future.' });
+      }
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      created_by: req.user.userId,
+      expiresAt: expiry
+    });
+    logAudit(req, {
+      action: 'api_key.created',
+      target: { type: 'ApiKey', id: apiKey._id },
+      metadata: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'API key created. Store the key now; it will not be shown again.',
+      key,
+      apiKey: serializeApiKey(apiKey)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error. Please ensure all fields are properly formatted.',
+        error: error.message
+      });
+    }
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Error creating API key', error: error.message });
+  }
+};
+
+/**
+ * Lists API keys, newest first. Revoked keys are only included on request.
+ * @async
+ * @function listApiKeys
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.includeRevoked] - "true" to include revoked keys
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with array of keys or error message
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter).sort({ created_at: -1 }).lean();
+
+    res.status(200).json({ apiKeys: apiKeys.map(serializeApiKey) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ message: 'Error fetching API keys', error: error.message });
+  }
+};
+
+/**
+ * Revokes an API key. Requests using it are refused immediately.
+ * @async
+ * @function revokeApiKey
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - API key ID to revoke
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the acting admin
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the revoked key or error message
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid API key ID format' });
+    }
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked.' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revoked_by = req.user.userId;
+    await apiKey.save();
+    logAudit(req, { action: 'api_key.revoked', target: { type: 'ApiKey', id: apiKey._id }, metadata: { name: apiKey.name } });
+
+    res.status(200).json({ message: 'API key revoked successfully', apiKey: serializeApiKey(apiKey) });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Error revoking API key', error: error.message });
+  }
+};
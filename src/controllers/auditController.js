@@ -0,0 +1,179 @@
+/**
+ * @module controllers/auditController
+ * @description Handles admin queries over the security audit log and its CSV export
+ */
+
+const AuditLog = require('../models/auditLog');
+const mongoose = require('mongoose');
+
+/**
+ * Default and maximum page sizes for audit log listings
+ * @type {{defaultLimit: number, maxLimit: number}}
+ */
+const PAGINATION = { defaultLimit: 50, maxLimit: 100 };
+
+/**
+ * Maximum number of entries in one CSV export. Narrow the filters to export older entries.
+ * @type {number}
+ */
+const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * Columns of the CSV export, in order
+ * @type {string[]}
+ */
+const CSV_COLUMNS = ['created_at', 'action', 'actor', 'actorEmail', 'impersonator', 'targetType', 'targetId', 'ip', 'userAgent', 'diff', 'metadata'];
+
+/**
+ * Builds a MongoDB filter from the audit log query parameters
+ * @function buildFilter
+ * @param {Object} query - Express query object
+ * @returns {{filter: Object}|{error: string}} Filter, or a message describing the invalid parameter
+ */
+const buildFilter = (query) => {
+  const { actor, action, targetType, targetId, ip, from, to } = query;
+  const filter = {};
+
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      return { error: 'Invalid actor ID format' };
+    }
+    filter.actor = actor;
+  }
+  if (action) {
+    // "auth.*" matches every action in the auth group
+    const value = String(action);
+    filter.action = value.endsWith('.*') ? { $regex: `^${value.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` } : value;
+  }
+  if (targetType) filter['target.type'] = String(targetType);
+  if (targetId) filter['target.id'] = String(targetId);
+  if (ip) filter.ip = String(ip);
+
+  if (from || to) {
+    filter.created_at = {};
+    for (const [key, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `${key} must be a valid date.` };
+      }
+      filter.created_at[operator] = date;
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * Quotes a value for a CSV cell
+ * @function csvCell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Stop spreadsheets from evaluating user-controlled text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Converts an audit log entry into a CSV row
+ * @function csvRow
+ * @param {Object} entry - AuditLog plain object
+ * @returns {string} CSV line
+ */
+const csvRow = (entry) => {
+  const row = {
+    ...entry,
+    targetType: entry.target ? entry.target.type : null,
+    targetId: entry.target ? entry.target.id : null
+  };
+  return CSV_COLUMNS.map(column => csvCell(row[column])).join(',');
+};
+
+/**
+ * Lists audit log entries, newest first
+ * @async
+ * @function listAuditLogs
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number, starting at 1
+ * @param {number} [req.query.limit=50] - Page size (at most 100)
+ * @param {string} [req.query.actor] - Only entries by this user ID
+ * @param {string} [req.query.action] - Exact action, or a group such as "auth.*"
+ * @param {string} [req.query.targetType] - Only entries about this kind of object, e.g. "User"
+ * @param {string} [req.query.targetId] - Only entries about this object ID
+ * @param {string} [req.query.ip] - Only entries from this IP address
+ * @param {string} [req.query.from] - ISO date of the oldest entry to include
+ * @param {string} [req.query.to] - ISO date of the newest entry to include
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with a page of entries and pagination info, or error message
+ */
+exports.listAuditLogs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PAGINATION.defaultLimit, 1), PAGINATION.maxLimit);
+
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .sort({ created_at: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.status(200).json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      entries
+    });
+  } catch (error) {
+    console.error('Error listing audit logs:', error);
+    res.status(500).json({ message: 'Error fetching audit logs', error: error.message });
+  }
+};
+
+/**
+ * Exports audit log entries matching the same filters as listAuditLogs as a CSV file,
+ * newest first and capped at EXPORT_MAX_ROWS rows
+ * @async
+ * @function exportAuditLogsCsv
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters (see listAuditLogs, without page and limit)
+ * @param {Object} res - Express response object
+ * @returns {void} CSV attachment, or JSON error message
+ */
+exports.exportAuditLogsCsv = async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ created_at: -1, _id: -1 })
+      .limit(EXPORT_MAX_ROWS + 1)
+      .lean();
+    const truncated = entries.length > EXPORT_MAX_ROWS;
+    const rows = entries.slice(0, EXPORT_MAX_ROWS).map(csvRow);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.set('X-Export-Truncated', String(truncated));
+    res.status(200).send([CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n');
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    res.status(500).json({ message: 'Error exporting audit logs', error: error.message });
+  }
+};
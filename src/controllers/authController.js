@@ -4,21 +4,59 @@
  */
 
 const User = require("../models/user");
+const Session = require("../models/session");
+const Invitation = require("../models/invitation");
 const hashPassword = require("../utils/hashPassword");
-const jwt = require("jsonwebtoken");
+const hashToken = require("../utils/hashToken");
+const { serializeUser } = require("../utils/serializeUser");
+const { isStrongPassword, passwordPolicyMessage } = require("../utils/passwordPolicy");
+const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
-const { blacklistedTokens } =require( "../middleware/authMiddlewares");
-const nodemailer = require("nodemailer");
+const { revokeToken } =require( "../middleware/authMiddlewares");
+const { signTwoFactorChallenge, verifyToken } = require("../utils/tokens");
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions
+} = require("../utils/sessions");
+const {
+    accountKey,
+    ipKey,
+    getLockout,
+    registerFailures,
+    clearFailures,
+    sendLockout
+} = require("../utils/throttle");
+const { sendEmail, localeFor } = require("../utils/mailer");
+const otpStore = require("../utils/otpStore");
+const { logAudit, diffFields } = require("../utils/audit");
+const { issueGuestToken, findGuestForToken, upgradeGuest } = require("../utils/guests");
+const { GUEST_SCOPES } = require("../config/permissions");
 const crypto = require("crypto");
 
 /**
- * Store OTPs temporarily for password reset functionality
- * @type {Map<string, {otp: string, expiresAt: number}>}
+ * Lifetime of a password reset token issued by verifyOtp
+ * @type {number}
  */
-const otpStore = new Map(); // Store OTPs temporarily
+const RESET_TOKEN_TTL_MS = 10 * 60 * 1000;
 
 /**
- * Registers a new user in the system
+ * Lifetime of an email verification link
+ * @type {number}
+ */
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Minimum time between two verification emails to the same account
+ * @type {number}
+ */
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Registers a new user in the system. The account starts unverified with the visitor
+ * role and a verification link is emailed to the given address. When a guest token is
+ * given, the guest is upgraded and the data it saved moves to the new account.
  * @async
  * @function registerUser
  * @param {Object} req - Express request object
@@ -27,12 +65,13 @@ const otpStore = new Map(); // Store OTPs temporarily
  * @param {string} req.body.lastName - User's last name
  * @param {string} req.body.email - User's email address
  * @param {string} req.body.password - User's password (must be at least 8 characters with letter, number, and special character)
+ * @param {string} [req.body.deviceName] - Name of the device signing in
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with user data and tokens or error message
  */
 exports.registerUser = async (req, res) => {
     try {
-        const { firstName, lastName, email, password } = req.body;
+        const { firstName, lastName, email, password, guestToken } = req.body;
 
         // Check if all required fields are provided
         if (!firstName || !lastName || !email || !password) {
@@ -44,18 +83,13 @@ exports.registerUser = async (req, res) => {
         }
 
         // Password validation
-        const passwordRegex = /^(?=.*[A-Za-z])(?=.*\d)(?=.*[!@#$%^&*(),.?":{}|<>]).{8,}$/;
-        if (!passwordRegex.test(password)) {
+        if (!isStrongPassword(password)) {
             return res.status(400).json({ 
               message: "Registration was unsuccessful",
-              error:
-                "Password must be at least 8 characters long, contain at least one letter, one number, and one special character.",      
+              error: passwordPolicyMessage,
             });
         }
 
-        // Role based on the email entered
-        const role = email.endsWith("@northeastern.edu") ? "student" : "visitor";
-
         // Check if user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -65,52 +99,64 @@ exports.registerUser = async (req, res) => {
             });
         }
 
+        // Resolve the guest before creating the account so a bad token does not leave a half-upgraded user
+        let guest = null;
+        if (guestToken) {
+            guest = await findGuestForToken(guestToken);
+            if (!guest) {
+                return res.status(400).json({
+                  message: "Registration was unsuccessful",
+                  error: "Invalid or expired guest token. Register without it or start a new guest session.",
+                });
+            }
+        }
+
         // Hash password before saving
         const hashedPassword = await hashPassword(password);
 
-        // Create new user
+        // Create new user. Accounts start unverified with visitor access;
+        // the student role is only granted once the address is confirmed.
         const newUser = new User({ 
             firstName, 
             lastName, 
             email, 
             password: hashedPassword, 
-            role 
+            role: "visitor",
+            emailVerified: false
         });
 
         // Save the new user
         await newUser.save();
 
         const user = await User.findOne({ email });
+        logAudit(req, { action: "auth.register", actor: user, target: { type: "User", id: user._id } });
 
-        // Generate access token
-        const accessToken = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
-        
-        // Generate refresh token
-        const refreshToken = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET,
-            { expiresIn: "7d" }
-        );
-        
-        // Store refresh token in database
-        user.refreshToken = refreshToken;
-        await user.save();
+        const guestUpgraded = guest ? await upgradeGuest(guest, user) : false;
+        if (guestUpgraded) {
+            logAudit(req, {
+                action: "auth.guest_upgraded",
+                actor: user,
+                target: { type: "User", id: user._id },
+                metadata: { guestId: String(guest._id) }
+            });
+        }
+
+        // Email the verification link; a failed send can be retried through /auth/resend_verification
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error("Error sending verification email:", mailError);
+        }
+
+        // Start a session for this device and issue its tokens
+        const { accessToken, refreshToken } = await createSession(user, req);
 
         res.status(201).json({ 
-            message: "Account created successfully!", 
+            message: "Account created successfully! Please check your email to verify your address.", 
             accessToken,
             refreshToken,
-            user: {
-                id: user._id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                email: user.email,
-                role: user.role
-            }
+            user: serializeUser(user),
+            ...(guestToken && { guestUpgraded })
         });
     } catch (error) {
         // Log the error for debugging purposes
@@ -133,78 +179,304 @@ exports.registerUser = async (req, res) => {
 };
 
 /**
- * Retrieves all users from the database
+ * Starts an anonymous guest session for browsing buildings and events without an account, or
+ * renews the token of an existing guest so the data it saved is kept. Guest tokens are read-only,
+ * short-lived and have no refresh token.
  * @async
- * @function getAllUsers
+ * @function startGuestSession
  * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.guestToken] - Current (possibly expired) guest token to renew
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with array of user objects or error message
+ * @returns {Object} JSON response with the guest token, or error message
  */
-exports.getAllUsers = async (req, res) => {
+exports.startGuestSession = async (req, res) => {
     try {
-        const users = await User.find(); // Fetch all users from the database
-        res.status(200).json(users);
+        const { guestToken } = req.body || {};
+
+        let guest;
+        if (guestToken) {
+            guest = await findGuestForToken(guestToken);
+            if (!guest) {
+                return res.status(401).json({ message: "Guest session has ended or the guest has registered. Start a new guest session or log in." });
+            }
+        }
+
+        const issued = await issueGuestToken(req, guest);
+
+        res.status(guest ? 200 : 201).json({
+            message: guest ? "Guest session renewed." : "Guest session started.",
+            guestToken: issued.token,
+            expiresAt: issued.expiresAt,
+            guestId: issued.guest._id,
+            scopes: GUEST_SCOPES
+        });
     } catch (error) {
-        res.status(500).json({ message: "Error fetching users", error: error.message });
+        console.error(error);
+        res.status(500).json({ message: "Error starting guest session.", error: error.message });
     }
 };
 
 /**
- * Authenticates a user and issues JWT tokens
+ * Resolves an invitation token to its pending invitation
+ * @async
+ * @function findPendingInvitation
+ * @param {string} token - Signed invitation token from the invitation link
+ * @returns {Promise<Object|null>} Invitation document, or null if the token is invalid, expired,
+ * revoked or already used
+ */
+const findPendingInvitation = async (token) => {
+    let decoded;
+    try {
+        decoded = await verifyToken(String(token));
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.typ !== "invite" || !mongoose.Types.ObjectId.isValid(decoded.inv)) {
+        return null;
+    }
+
+    return Invitation.findOne({
+        _id: decoded.inv,
+        email: decoded.email,
+        role: decoded.role,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Shows the invitation behind an invitation link, so the client can prefill the registration form
+ * @async
+ * @function getInvitation
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters from the invitation link
+ * @param {string} req.query.token - Signed invitation token
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the invited email, role and expiry, or error message
+ */
+exports.getInvitation = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.status(400).json({ message: "Invitation token is required." });
+        }
+
+        const invitation = await findPendingInvitation(token);
+        if (!invitation) {
+            return res.status(400).json({ message: "Invalid or expired invitation. Please ask an administrator for a new one." });
+        }
+
+        res.status(200).json({
+            invitation: { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error fetching invitation.", error: error.message });
+    }
+};
+
+/**
+ * Registers the account an invitation was sent for. The user gets the invited role, and the
+ * address counts as verified because the link was delivered to it. Each invitation can be used once.
+ * @async
+ * @function registerWithInvitation
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body containing user details
+ * @param {string} req.body.token - Signed invitation token from the invitation link
+ * @param {string} req.body.firstName - User's first name
+ * @param {string} req.body.lastName - User's last name
+ * @param {string} req.body.password - User's password
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with tokens and the new user, or error message
+ */
+exports.registerWithInvitation = async (req, res) => {
+    try {
+        const { token, firstName, lastName, password } = req.body;
+
+        if (!token || !firstName || !lastName || !password) {
+            return res.status(400).json({
+              message: "Registration was unsuccessful",
+              error: "Missing required fields. Please ensure 'token', 'firstName', 'lastName', 'password' are provided.",
+            });
+        }
+
+        if (!isStrongPassword(password)) {
+            return res.status(400).json({
+              message: "Registration was unsuccessful",
+              error: passwordPolicyMessage,
+            });
+        }
+
+        const invitation = await findPendingInvitation(token);
+        if (!invitation) {
+            return res.status(400).json({
+              message: "Registration was unsuccessful",
+              error: "Invalid or expired invitation. Please ask an administrator for a new one.",
+            });
+        }
+
+        if (await User.exists({ email: invitation.email })) {
+            return res.status(400).json({
+              message: "Registration was unsuccessful",
+              error: "You are already registered. Please try logging in instead.",
+            });
+        }
+
+        // Claim the invitation first so two concurrent requests cannot both use it
+        const claimed = await Invitation.findOneAndUpdate(
+            { _id: invitation._id, acceptedAt: null, revokedAt: null },
+            { $set: { acceptedAt: new Date() } },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(400).json({
+              message: "Registration was unsuccessful",
+              error: "Invalid or expired invitation. Please ask an administrator for a new one.",
+            });
+        }
+
+        let user;
+        try {
+            user = await User.create({
+                firstName,
+                lastName,
+                email: invitation.email,
+                password: await hashPassword(password),
+                role: invitation.role,
+                emailVerified: true
+            });
+        } catch (error) {
+            // Give the invitation back so it can be retried with valid details
+            await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+            throw error;
+        }
+
+        claimed.accepted_user = user._id;
+        await claimed.save();
+        logAudit(req, {
+            action: "auth.register",
+            actor: user,
+            target: { type: "User", id: user._id },
+            metadata: { invitation: String(invitation._id), role: user.role, invited_by: String(invitation.invited_by) }
+        });
+
+        const { accessToken, refreshToken } = await createSession(user, req);
+
+        res.status(201).json({
+            message: "Account created successfully!",
+            accessToken,
+            refreshToken,
+            user: serializeUser(user)
+        });
+    } catch (error) {
+        console.error(error);
+
+        if (error.name === "ValidationError") {
+            return res.status(400).json({
+                message: "Validation error. Please ensure all fields are properly formatted.",
+                error: error.message
+            });
+        }
+
+        return res.status(500).json({
+            message: "An error occurred while creating the account. Please try again later.",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Authenticates a user and issues JWT tokens. Repeated failures lock the account
+ * and the client IP out with exponential backoff. When two-factor authentication is
+ * enabled, a short-lived challenge token is returned instead of access/refresh tokens.
  * @async
  * @function loginUser
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body containing login credentials
  * @param {string} req.body.email - User's email address
  * @param {string} req.body.password - User's password
+ * @param {string} [req.body.deviceName] - Name of the device signing in
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with user data and tokens or error message
+ * @returns {Object} JSON response with user data and tokens, a two-factor challenge token, or error message
  */
 exports.loginUser = async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        // Check if user exists
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(401).json({ message: "Invalid credentials" });
+        if (!email || !password) {
+            return res.status(400).json({ message: "Email and password are required" });
+        }
+
+        // Refuse attempts while the account or client IP is locked out
+        const accountThrottleKey = accountKey("login", email);
+        const throttleKeys = [accountThrottleKey, ipKey("login", req.ip)];
+        const lockout = await getLockout(throttleKeys);
+        if (lockout) {
+            return sendLockout(res, lockout);
         }
 
-        // Check password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        // Check if user exists and the password matches
+        const user = await User.findOne({ email });
+        // Accounts created through single sign-on have no password until they set one
+        const isPasswordValid = user && user.password ? await bcrypt.compare(password, user.password) : false;
         if (!isPasswordValid) {
+            const newLockout = await recordFailedAttempt(throttleKeys, user);
+            logAudit(req, {
+                action: "auth.login_failed",
+                actor: user || { id: null, email: String(email) },
+                target: user ? { type: "User", id: user._id } : undefined,
+                metadata: { reason: user ? "invalid_password" : "unknown_email", lockedOut: Boolean(newLockout) }
+            });
+            if (newLockout) {
+                return sendLockout(res, newLockout);
+            }
             return res.status(401).json({ message: "Invalid credentials" });
         }
 
-        // Generate JWT access token (short-lived)
-        const accessToken = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
-        
-        // Generate refresh token (long-lived)
-        const refreshToken = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET,
-            { expiresIn: "7d" }
-        );
-        
-        // Store refresh token in database
-        user.refreshToken = refreshToken;
-        await user.save();
+        // The IP counter is left to expire, so a valid login cannot reset it between guesses at other accounts
+        await clearFailures([accountThrottleKey]);
+
+        if (user.disabled) {
+            logAudit(req, {
+                action: "auth.login_failed",
+                actor: user,
+                target: { type: "User", id: user._id },
+                metadata: { reason: "account_disabled" }
+            });
+            return res.status(403).json({ message: "This account has been disabled. Please contact support." });
+        }
+
+        // With two-factor authentication on, the password only earns a challenge token
+        // to be exchanged for real tokens at /auth/2fa/verify
+        if (user.twoFactorEnabled) {
+            logAudit(req, { action: "auth.login_challenge", actor: user, target: { type: "User", id: user._id } });
+            return res.status(200).json({
+                message: "Two-factor authentication required",
+                twoFactorRequired: true,
+                challengeToken: await signTwoFactorChallenge(user)
+            });
+        }
+
+        // Start a session for this device and issue its tokens
+        const { session, accessToken, refreshToken } = await createSession(user, req);
+        logAudit(req, {
+            action: "auth.login",
+            actor: user,
+            target: { type: "User", id: user._id },
+            metadata: { sessionId: session._id }
+        });
 
         res.status(200).json({
             message: "Login successful",
             accessToken,
             refreshToken,
-            user: {
-                id: user._id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                email: user.email,
-                role: user.role
-            }
+            // Admins cannot use their permissions until they enroll in two-factor authentication
+            ...(user.role === "admin" && { twoFactorEnrollmentRequired: true }),
+            user: serializeUser(user)
         });
     } catch (error) {
         console.error(error);
@@ -213,14 +485,12 @@ exports.loginUser = async (req, res) => {
 };
 
 /**
- * Logs out a user by invalidating their tokens
+ * Logs out the current device by revoking its access token and ending its session
  * @async
  * @function logoutUser
  * @param {Object} req - Express request object
  * @param {Object} req.headers - Request headers
  * @param {string} req.headers.authorization - JWT access token
- * @param {Object} req.user - User object populated by auth middleware
- * @param {string} req.user.userId - User ID
  * @param {Object} res - Express response object
  * @returns {Object} JSON response confirming logout or error message
  */
@@ -230,12 +500,24 @@ exports.logoutUser = async (req, res) => {
         
         const token = authHeader;
 
-        // Add the access token to blacklist
-        blacklistedTokens.add(token);
+        // Revoke the access token until it would have expired
+        const decoded = await revokeToken(token);
         
-        // Clear refresh token in database if user ID is available
-        if (req.user && req.user.userId) {
-            await User.findByIdAndUpdate(req.user.userId, { refreshToken: null });
+        // End the session the token was issued to
+        if (decoded && decoded.fam) {
+            const session = await Session.findOne({ _id: decoded.fam, user: decoded.userId });
+            if (session) {
+                await revokeSession(session);
+            }
+        }
+
+        if (decoded) {
+            logAudit(req, {
+                action: "auth.logout",
+                actor: { id: decoded.userId, email: decoded.email },
+                target: { type: "User", id: decoded.userId },
+                metadata: { sessionId: decoded.fam || null }
+            });
         }
         
         res.json({ message: 'Logged out successfully' });
@@ -246,7 +528,9 @@ exports.logoutUser = async (req, res) => {
 };
 
 /**
- * Generates a new access token using a refresh token
+ * Rotates a refresh token: issues a new access token and a new refresh token for the
+ * same session, and invalidates the presented refresh token. Presenting a refresh token
+ * that has already been rotated ends the session as possible token theft.
  * @async
  * @function refreshToken
  * @param {Object} req - Express request object
@@ -255,7 +539,7 @@ exports.logoutUser = async (req, res) => {
  * @param {Object} req.headers - Request headers
  * @param {string} req.headers.authorization - Current access token to invalidate
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with new access token or error message
+ * @returns {Object} JSON response with new access and refresh tokens or error message
  */
 exports.refreshToken = async (req, res) => {
     try {
@@ -271,36 +555,51 @@ exports.refreshToken = async (req, res) => {
         // Verify the refresh token
         let decoded;
         try {
-            decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+            decoded = await verifyToken(refreshToken);
         } catch (error) {
             return res.status(401).json({ message: "Invalid or expired refresh token" });
         }
 
-        // Find the user with this refresh token
-        const user = await User.findOne({ 
-            _id: decoded.userId,
-            refreshToken: refreshToken 
-        });
+        // Access tokens carry the session family too; one posted here must not count as a reused refresh token
+        if (decoded.typ !== "refresh") {
+            return res.status(401).json({ message: "Invalid or expired refresh token" });
+        }
 
-        if (!user) {
+        // Refresh tokens issued before sessions existed carry no family and must log in again
+        if (!decoded.fam || !mongoose.Types.ObjectId.isValid(decoded.fam)) {
             return res.status(401).json({ message: "Invalid refresh token or user not found" });
         }
 
-        // Generate a new access token
-        const accessToken = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
+        const session = await Session.findOne({ _id: decoded.fam, user: decoded.userId });
+        const user = session && await User.findById(decoded.userId);
+        if (!session || !user || user.disabled) {
+            return res.status(401).json({ message: "Invalid refresh token or user not found" });
+        }
 
-        // Invalidate the old access token if it exists
-        if (oldAccessToken) {
-            blacklistedTokens.add(oldAccessToken);
+        // Generate a new access token and rotate the refresh token. A token from this session
+        // that is no longer current has already been rotated, possibly by a concurrent request.
+        const tokens = await rotateSession(session, user, req, refreshToken);
+        if (!tokens) {
+            console.warn(
+                `Refresh token reuse detected for user ${user._id} (session ${session._id}). ` +
+                "Possible token theft: ending the session."
+            );
+            await revokeSession(session);
+            logAudit(req, {
+                action: "auth.refresh_token_reuse",
+                actor: user,
+                target: { type: "Session", id: session._id }
+            });
+            return res.status(401).json({ message: "Invalid refresh token or user not found" });
         }
 
+        // Revoke the old access token if it exists
+        await revokeToken(oldAccessToken);
+
         res.status(200).json({
             message: "Token refreshed successfully",
-            accessToken
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken
         });
     } catch (error) {
         console.error(error);
@@ -309,16 +608,318 @@ exports.refreshToken = async (req, res) => {
 };
 
 /**
- * Nodemailer transporter for sending emails
- * @type {nodemailer.Transporter}
+ * Lists the signed-in devices of the current user
+ * @async
+ * @function getSessions
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {string} [req.user.fam] - Session ID of the current access token
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with array of sessions or error message
  */
-const transporter = nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({ user: req.user.userId })
+            .select("-refreshTokenHash")
+            .sort({ last_used_at: -1 });
+
+        res.status(200).json({
+            count: sessions.length,
+            sessions: sessions.map(session => ({
+                id: session._id,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                created_at: session.created_at,
+                last_used_at: session.last_used_at,
+                current: session._id.toString() === req.user.fam
+            }))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error fetching sessions", error: error.message });
     }
-});
+};
+
+/**
+ * Logs out one device of the current user
+ * @async
+ * @function deleteSession
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Session ID to end
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the session was ended or error message
+ */
+exports.deleteSession = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid session ID format" });
+        }
+
+        const session = await Session.findOne({ _id: id, user: req.user.userId });
+        if (!session) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        await revokeSession(session);
+        logAudit(req, { action: "auth.session_revoked", target: { type: "Session", id: session._id } });
+
+        res.status(200).json({ message: "Session logged out successfully" });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error logging out session", error: error.message });
+    }
+};
+
+/**
+ * Logs out every device of the current user, including the current one
+ * @async
+ * @function logoutAllSessions
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the number of sessions ended or error message
+ */
+exports.logoutAllSessions = async (req, res) => {
+    try {
+        const count = await revokeAllSessions(req.user.userId);
+        await revokeToken(req.headers.authorization);
+        logAudit(req, {
+            action: "auth.logout_all",
+            target: { type: "User", id: req.user.userId },
+            metadata: { sessions: count }
+        });
+
+        res.status(200).json({ message: "Logged out of all devices successfully", count });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+/**
+ * Emails a user that their account was locked after repeated failed attempts
+ * @async
+ * @function sendLockoutEmail
+ * @param {Object} user - Locked user document
+ * @param {Date} lockedUntil - Time the lockout ends
+ * @returns {Promise<void>} Resolves once the email has been sent
+ */
+const sendLockoutEmail = async (user, lockedUntil) => {
+    await sendEmail("accountLocked", {
+        to: user.email,
+        locale: localeFor(user),
+        data: { firstName: user.firstName, lockedUntil }
+    });
+};
+
+/**
+ * Records a failed attempt against throttle keys, emailing the user the first time their account gets locked
+ * @async
+ * @function recordFailedAttempt
+ * @param {Array<{key: string, scope: string}>} keys - Throttle keys of the attempt
+ * @param {Object|null} user - User the attempt targeted, if the account exists
+ * @returns {Promise<{scope: string, lockedUntil: Date}|null>} Longest lockout triggered by this failure, or null
+ */
+const recordFailedAttempt = async (keys, user) => {
+    const results = await registerFailures(keys);
+
+    results.forEach((result, i) => {
+        if (result.firstLockout && keys[i].scope === "account" && user) {
+            sendLockoutEmail(user, result.lockedUntil).catch(mailError =>
+                console.error("Error sending lockout email:", mailError));
+        }
+    });
+
+    const lockouts = results
+        .map((result, i) => ({ scope: keys[i].scope, lockedUntil: result.lockedUntil }))
+        .filter(lockout => lockout.lockedUntil)
+        .sort((a, b) => b.lockedUntil - a.lockedUntil);
+
+    return lockouts[0] || null;
+};
+
+/**
+ * Counts an OTP email against the sending limits of an account and IP address
+ * @async
+ * @function throttleOtpSend
+ * @param {string} email - Email address the OTP is sent to
+ * @param {string} ip - Client IP address
+ * @returns {Promise<{scope: string, lockedUntil: Date}|null>} Active lockout if sending is refused, or null
+ */
+const throttleOtpSend = async (email, ip) => {
+    const throttleKeys = [accountKey("otp_send", email), ipKey("otp_send", ip)];
+    const lockout = await getLockout(throttleKeys);
+    if (lockout) {
+        return lockout;
+    }
+
+    // Every send counts as an attempt; the counters simply expire after their window
+    await registerFailures(throttleKeys);
+    return null;
+};
+
+/**
+ * Issues a new email verification token for a user and emails the verification link
+ * @async
+ * @function sendVerificationEmail
+ * @param {Object} user - User document to verify
+ * @returns {Promise<void>} Resolves once the email has been sent
+ */
+const sendVerificationEmail = async (user) => {
+    const token = crypto.randomBytes(32).toString("hex");
+    user.emailVerificationToken = hashToken(token);
+    user.emailVerificationExpires = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS);
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    const baseUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+    const link = `${baseUrl}/auth/verify_email?email=${encodeURIComponent(user.email)}&token=${token}`;
+
+    await sendEmail("emailVerification", {
+        to: user.email,
+        locale: localeFor(user),
+        data: { firstName: user.firstName, verifyUrl: link, validHours: VERIFICATION_TOKEN_TTL_MS / (60 * 60 * 1000) }
+    });
+};
+
+/**
+ * Confirms a user's email address from a verification link. Northeastern addresses
+ * are promoted to the student role once confirmed.
+ * @async
+ * @function verifyEmail
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters from the verification link
+ * @param {string} req.query.email - Email address being verified
+ * @param {string} req.query.token - Verification token from the email
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming verification or error message
+ */
+exports.verifyEmail = async (req, res) => {
+    try {
+        const { email, token } = req.query;
+
+        if (!email || !token) {
+            return res.status(400).json({ message: "Email and verification token are required." });
+        }
+
+        const user = await User.findOne({
+            email,
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() }
+        });
+        if (!user) {
+            return res.status(400).json({ message: "Invalid or expired verification link. Please request a new one." });
+        }
+
+        const before = { emailVerified: user.emailVerified, role: user.role };
+        user.emailVerified = true;
+        user.emailVerificationToken = null;
+        user.emailVerificationExpires = null;
+        if (user.role === "visitor" && user.email.endsWith("@northeastern.edu")) {
+            user.role = "student";
+        }
+        await user.save();
+        logAudit(req, {
+            action: "auth.email_verified",
+            actor: user,
+            target: { type: "User", id: user._id },
+            diff: diffFields(before, user, ["emailVerified", "role"])
+        });
+
+        res.status(200).json({
+            message: "Email verified successfully. Refresh your token to pick up your new access.",
+            role: user.role
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error verifying email." });
+    }
+};
+
+/**
+ * Resends the email verification link, at most once per cooldown period
+ * @async
+ * @function resendVerificationEmail
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Email address to resend the verification link to
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the link was sent or error message
+ */
+exports.resendVerificationEmail = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(404).json({ message: "User with this email does not exist." });
+        }
+
+        if (user.emailVerified) {
+            return res.status(400).json({ message: "This email address is already verified." });
+        }
+
+        if (user.emailVerificationSentAt) {
+            const retryAt = user.emailVerificationSentAt.getTime() + VERIFICATION_RESEND_COOLDOWN_MS;
+            if (retryAt > Date.now()) {
+                const retryAfter = Math.ceil((retryAt - Date.now()) / 1000);
+                res.set("Retry-After", String(retryAfter));
+                return res.status(429).json({
+                    message: "A verification email was sent recently. Please wait before requesting another.",
+                    retryAfter
+                });
+            }
+        }
+
+        await sendVerificationEmail(user);
+
+        res.status(200).json({ message: "Verification email sent." });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error sending verification email. Try again later." });
+    }
+};
+
+/**
+ * Issues a password reset OTP and emails it, unless one was sent too recently
+ * @async
+ * @function sendPasswordResetOtp
+ * @param {string} email - Email address to send the OTP to
+ * @param {Object|null} user - User document, used for the greeting and language
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True if the OTP was sent; otherwise a 429 response has been sent
+ */
+const sendPasswordResetOtp = async (email, user, res) => {
+    const issued = await otpStore.issueOtp(otpStore.OTP_PURPOSES.PASSWORD_RESET, email);
+    if (issued.retryAt) {
+        const retryAfter = Math.ceil((issued.retryAt.getTime() - Date.now()) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        res.status(429).json({
+            message: "An OTP was sent recently. Please wait before requesting another.",
+            retryAfter
+        });
+        return false;
+    }
+
+    await sendEmail("passwordResetOtp", {
+        to: email,
+        locale: localeFor(user),
+        data: {
+            firstName: user && user.firstName,
+            otp: issued.code,
+            validMinutes: otpStore.OTP_DEFAULTS.ttlMs / (60 * 1000)
+        }
+    });
+    return true;
+};
 
 /**
  * Sends a password reset OTP to user's email
@@ -334,21 +935,18 @@ exports.forgotPassword = async (req, res) => {
     try {
         const { email } = req.body;
 
+        const lockout = await throttleOtpSend(email, req.ip);
+        if (lockout) {
+            return sendLockout(res, lockout);
+        }
+
         const user = await User.findOne({ email });
         if (!user) {
             return res.status(404).json({ message: "User with this email does not exist." });
         }
 
-        const otp = crypto.randomInt(100000, 999999).toString(); // Generate 6-digit OTP
-        otpStore.set(email, { otp, expiresAt: Date.now() + 5 * 60 * 1000 }); // Store OTP for 5 minutes
-
-        // Send OTP to email
-        await transporter.sendMail({
-            from: process.env.EMAIL_USER,
-            to: email,
-            subject: "Password Reset OTP",
-            text: `Your OTP for password reset is ${otp}. It is valid for 5 minutes.`
-        });
+        if (!(await sendPasswordResetOtp(email, user, res))) return;
+        logAudit(req, { action: "auth.password_reset_requested", actor: user, target: { type: "User", id: user._id } });
 
         res.status(200).json({ message: "OTP sent to your email." });
     } catch (error) {
@@ -358,7 +956,8 @@ exports.forgotPassword = async (req, res) => {
 };
 
 /**
- * Verifies the OTP entered by user
+ * Verifies the OTP entered by user. Repeated wrong guesses lock the account and
+ * the client IP out and discard the OTP.
  * @async
  * @function verifyOtp
  * @param {Object} req - Express request object
@@ -366,30 +965,60 @@ exports.forgotPassword = async (req, res) => {
  * @param {string} req.body.email - User's email address
  * @param {string} req.body.otp - OTP entered by user
  * @param {Object} res - Express response object
- * @returns {Object} JSON response confirming OTP verification or error message
+ * @returns {Object} JSON response with a short-lived reset token or error message
  */
 exports.verifyOtp = async (req, res) => {
     try {
         const { email, otp } = req.body;
 
-        if (!otpStore.has(email)) {
-            return res.status(400).json({ message: "No OTP request found. Please request OTP again." });
+        // Refuse attempts while the account or client IP is locked out
+        const accountThrottleKey = accountKey("otp_verify", email);
+        const throttleKeys = [accountThrottleKey, ipKey("otp_verify", req.ip)];
+        const lockout = await getLockout(throttleKeys);
+        if (lockout) {
+            return sendLockout(res, lockout);
         }
 
-        const storedOtpData = otpStore.get(email);
+        const result = await otpStore.verifyOtp(otpStore.OTP_PURPOSES.PASSWORD_RESET, email, otp);
+
+        if (result.status === "missing") {
+            return res.status(400).json({ message: "No valid OTP found. It may have expired. Please request a new one." });
+        }
 
-        if (Date.now() > storedOtpData.expiresAt) {
-            otpStore.delete(email);
-            return res.status(400).json({ message: "OTP expired. Please request a new one." });
+        if (result.status !== "valid") {
+            const user = await User.findOne({ email });
+            const newLockout = await recordFailedAttempt(throttleKeys, user);
+            if (newLockout) {
+                // A locked-out OTP cannot be guessed further; a new one must be requested
+                await otpStore.discardOtp(otpStore.OTP_PURPOSES.PASSWORD_RESET, email);
+                return sendLockout(res, newLockout);
+            }
+            if (result.status === "exhausted") {
+                return res.status(400).json({ message: "Too many invalid attempts. Please request a new OTP." });
+            }
+            return res.status(400).json({
+                message: "Invalid OTP. Please try again.",
+                attemptsRemaining: result.attemptsRemaining
+            });
         }
 
-        if (storedOtpData.otp !== otp) {
-            return res.status(400).json({ message: "Invalid OTP. Please try again." });
+        // OTP is valid, issue a single-use reset token bound to this account. The IP counter is left to expire.
+        await clearFailures([accountThrottleKey]);
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(404).json({ message: "User with this email does not exist." });
         }
 
-        // OTP is valid, allow user to reset password
-        otpStore.delete(email);
-        res.status(200).json({ message: "OTP verified successfully. You can now reset your password." });
+        const resetToken = crypto.randomBytes(32).toString("hex");
+        user.resetPasswordToken = hashToken(resetToken);
+        user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+        await user.save();
+
+        res.status(200).json({
+            message: "OTP verified successfully. You can now reset your password.",
+            resetToken
+        });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: "Error verifying OTP." });
@@ -410,20 +1039,17 @@ exports.resendOtp = async (req, res) => {
     try {
         const { email } = req.body;
 
-        if (!otpStore.has(email)) {
+        if (!(await otpStore.hasOtp(otpStore.OTP_PURPOSES.PASSWORD_RESET, email))) {
             return res.status(400).json({ message: "No OTP request found. Please request OTP again." });
         }
 
-        const otp = crypto.randomInt(100000, 999999).toString(); // Generate new OTP
-        otpStore.set(email, { otp, expiresAt: Date.now() + 5 * 60 * 1000 }); // Update OTP
+        const lockout = await throttleOtpSend(email, req.ip);
+        if (lockout) {
+            return sendLockout(res, lockout);
+        }
 
-        // Send OTP to email
-        await transporter.sendMail({
-            from: process.env.EMAIL_USER,
-            to: email,
-            subject: "Resend OTP for Password Reset",
-            text: `Your new OTP for password reset is ${otp}. It is valid for 5 minutes.`
-        });
+        const user = await User.findOne({ email });
+        if (!(await sendPasswordResetOtp(email, user, res))) return;
 
         res.status(200).json({ message: "New OTP sent to your email." });
     } catch (error) {
@@ -433,28 +1059,55 @@ exports.resendOtp = async (req, res) => {
 };
 
 /**
- * Resets user's password after OTP verification
+ * Resets user's password after OTP verification and logs out all of the user's sessions
  * @async
  * @function resetPassword
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.email - User's email address
- * @param {string} req.body.newPassword - New password to set
+ * @param {string} req.body.resetToken - Single-use reset token returned by verifyOtp
+ * @param {string} req.body.newPassword - New password to set (same policy as registration)
  * @param {Object} res - Express response object
  * @returns {Object} JSON response confirming password reset or error message
  */
 exports.resetPassword = async (req, res) => {
     try {
-        const { email, newPassword } = req.body;
+        const { email, resetToken, newPassword } = req.body;
 
-        const user = await User.findOne({ email });
+        if (!email || !resetToken || !newPassword) {
+            return res.status(400).json({ message: "Email, reset token and new password are required." });
+        }
+
+        if (!isStrongPassword(newPassword)) {
+            return res.status(400).json({ message: passwordPolicyMessage });
+        }
+
+        const user = await User.findOne({
+            email,
+            resetPasswordToken: hashToken(resetToken),
+            resetPasswordExpires: { $gt: new Date() }
+        });
         if (!user) {
-            return res.status(404).json({ message: "User with this email does not exist." });
+            return res.status(400).json({ message: "Invalid or expired reset token. Please verify your OTP again." });
         }
 
         const hashedPassword = await hashPassword(newPassword);
         user.password = hashedPassword;
+
+        // Consume the reset token so it cannot be replayed
+        user.resetPasswordToken = null;
+        user.resetPasswordExpires = null;
+
+        // Log out every session and reject access tokens issued before now
+        user.passwordChangedAt = new Date(Date.now() - 1000);
         await user.save();
+        const count = await revokeAllSessions(user._id);
+        logAudit(req, {
+            action: "auth.password_reset",
+            actor: user,
+            target: { type: "User", id: user._id },
+            metadata: { sessionsEnded: count }
+        });
 
         res.status(200).json({ message: "Password reset successful. You can now log in." });
     } catch (error) {
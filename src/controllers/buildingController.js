@@ -4,31 +4,111 @@
  */
 
 const Building = require('../models/building');
+const Event = require('../models/event');
+const mongoose = require('mongoose');
+const { logAudit, diffFields } = require('../utils/audit');
+const { clusterPoints } = require('../utils/clustering');
+const { distanceMeters } = require('../utils/geo');
 
 /**
- * Creates multiple building entries (admin only)
+ * Building fields an admin can set
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = ['building_name', 'description', 'pointId', 'lat', 'long', 'order', 'images', 'accessibility', 'entrances'];
+
+/**
+ * Default and maximum search radius of nearby queries, in meters
+ * @type {{defaultRadius: number, maxRadius: number}}
+ */
+const NEARBY_RADIUS = { defaultRadius: 1000, maxRadius: 20000 };
+
+/**
+ * Default and maximum number of buildings returned by nearby queries
+ * @type {{defaultLimit: number, maxLimit: number}}
+ */
+const NEARBY_LIMIT = { defaultLimit: 20, maxLimit: 100 };
+
+/**
+ * Highest zoom level accepted by viewport POI queries
+ * @type {number}
+ */
+const MAX_ZOOM = 22;
+
+/**
+ * Zoom level from which POIs are no longer clustered (about street level on campus)
+ * @type {number}
+ */
+const CLUSTER_MAX_ZOOM = 17;
+
+/**
+ * Ways of handling events that reference a building being deleted
+ * @type {string[]}
+ */
+const EVENT_HANDLING = ['detach', 'delete'];
+
+/**
+ * Copies the editable building fields from a request body, dropping anything else
+ * @function pickBuildingFields
+ * @param {Object} body - Building data from the request
+ * @returns {Object} Building fields
+ */
+const pickBuildingFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+/**
+ * Sends the response for a validation or duplicate pointId error
+ * @function sendWriteError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by a write
+ * @returns {boolean} True if a response was sent, false if the error is unexpected
+ */
+const sendWriteError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    res.status(400).json({
+      message: 'Validation error. Please ensure all fields are properly formatted.',
+      error: error.message
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(409).json({ message: 'A building with this pointId already exists.', error: error.message });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Creates multiple building entries (requires buildings:write permission). In upsert mode,
+ * buildings are matched on pointId and replaced when they already exist, so a seed file can be
+ * re-run safely.
  * @async
  * @function createBuildings
  * @param {Object} req - Express request object
- * @param {Object} req.user - User object from auth middleware
- * @param {string} req.user.role - User role (must be 'admin')
  * @param {Object} req.body - Request body
  * @param {Array<Object>} req.body.buildings - Array of building objects to create
+ * @param {boolean} [req.body.upsert=false] - Replace existing buildings with the same pointId instead of failing
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with created buildings or error message
  */
 exports.createBuildings = async (req, res) => {
   try {
-    const userRole = req.user.role;
+    const { buildings, upsert } = req.body;
 
-    if (userRole !== 'admin') {
-      return res.status(403).json({ message: 'Only admin users can create buildings.' });
+    if (!Array.isArray(buildings) || buildings.length === 0) {
+      return res.status(400).json({ message: 'Please provide at least one building.' });
     }
 
-    const buildings = req.body.buildings;
+    if (upsert !== undefined && typeof upsert !== 'boolean') {
+      return res.status(400).json({ message: 'upsert must be a boolean.' });
+    }
 
-    if (!Array.isArray(buildings) || buildings.length === 0) {
-      return res.status(400).json({ message: 'Please provide at least one building.' });
+    if (upsert) {
+      return upsertBuildings(req, res, buildings);
     }
 
     const newBuildings = buildings.map(b => ({
@@ -37,38 +117,260 @@ exports.createBuildings = async (req, res) => {
     }));
 
     const result = await Building.insertMany(newBuildings);
+    logAudit(req, {
+      action: 'building.created',
+      target: { type: 'Building', id: result.length === 1 ? result[0]._id : null },
+      metadata: { count: result.length, ids: result.map(building => building._id), pointIds: result.map(building => building.pointId) }
+    });
     res.status(201).json({ message: "Buildings created successfully", buildings: result });
   } catch (error) {
+    if (sendWriteError(res, error)) return;
     console.error("Error creating buildings:", error);
     res.status(500).json({ message: "Error creating buildings", error: error.message });
   }
 };
 
 /**
- * Retrieves all points of interest in ordered sequence
+ * Creates or replaces buildings matched on pointId, for the upsert mode of createBuildings.
+ * Every entry is validated before anything is written.
+ * @async
+ * @function upsertBuildings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} buildings - Building objects, each with a pointId
+ * @returns {Promise<void>}
+ */
+const upsertBuildings = async (req, res, buildings) => {
+  const seen = new Set();
+  for (const [index, building] of buildings.entries()) {
+    if (!building || typeof building.pointId !== 'string' || !building.pointId.trim()) {
+      return res.status(400).json({ message: `Building ${index} needs a pointId in upsert mode.` });
+    }
+    if (seen.has(building.pointId)) {
+      return res.status(400).json({ message: `pointId ${building.pointId} appears more than once.` });
+    }
+    seen.add(building.pointId);
+
+    const error = new Building(pickBuildingFields(building)).validateSync();
+    if (error) {
+      return res.status(400).json({
+        message: `Validation error in building ${index} (${building.pointId}).`,
+        error: error.message
+      });
+    }
+  }
+
+  const result = await Building.bulkWrite(buildings.map(building => ({
+    replaceOne: {
+      filter: { pointId: building.pointId },
+      replacement: pickBuildingFields(building),
+      upsert: true
+    }
+  })));
+
+  const saved = await Building.find({ pointId: { $in: [...seen] } });
+  logAudit(req, {
+    action: 'building.upserted',
+    metadata: {
+      count: saved.length,
+      inserted: result.upsertedCount,
+      replaced: result.matchedCount,
+      pointIds: [...seen]
+    }
+  });
+
+  res.status(200).json({
+    message: 'Buildings saved successfully',
+    inserted: result.upsertedCount,
+    replaced: result.matchedCount,
+    buildings: saved
+  });
+};
+
+/**
+ * Retrieves points of interest in ordered sequence. With a bbox, only the POIs inside the map
+ * viewport are returned, and below CLUSTER_MAX_ZOOM POIs that would overlap on screen are
+ * grouped into clusters.
  * @async
  * @function getPOIs
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.bbox] - Viewport as "minLng,minLat,maxLng,maxLat"
+ * @param {string} [req.query.zoom] - Map zoom level (0-22); clustering only applies when given
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with array of POI objects sorted by order field
+ * @returns {Object} JSON response with array of POI objects sorted by order field, and clusters
+ * when clustering applies
  */
 exports.getPOIs = async (req, res) => {
     try {
-        const pois = await Building.find({}).select('-description -images').sort({ order: 1 });
-    
-        res.status(200).json({ count: pois.length, pois });
+        const { bbox, zoom } = req.query;
+
+        if (bbox === undefined) {
+            const pois = await Building.find({}).select('-description -images').sort({ order: 1 });
+            return res.status(200).json({ count: pois.length, pois });
+        }
+
+        const bounds = String(bbox).split(',').map(Number);
+        if (bounds.length !== 4 || !bounds.every(Number.isFinite)) {
+            return res.status(400).json({ message: 'bbox must be four numbers: minLng,minLat,maxLng,maxLat.' });
+        }
+        const [minLng, minLat, maxLng, maxLat] = bounds;
+        if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 || minLng >= maxLng || minLat >= maxLat) {
+            return res.status(400).json({ message: 'bbox must be minLng,minLat,maxLng,maxLat within valid coordinates, with min below max.' });
+        }
+
+        let zoomLevel = null;
+        if (zoom !== undefined) {
+            zoomLevel = Number(zoom);
+            if (!Number.isFinite(zoomLevel) || zoomLevel < 0 || zoomLevel > MAX_ZOOM) {
+                return res.status(400).json({ message: `zoom must be a number between 0 and ${MAX_ZOOM}.` });
+            }
+        }
+
+        // Compare plain coordinates: the viewport is a flat rectangle, while a GeoJSON polygon has
+        // geodesic edges that bulge toward the poles and break down for boxes 180 degrees wide or more
+        const pois = await Building.find({
+            lat: { $gte: minLat, $lte: maxLat },
+            long: { $gte: minLng, $lte: maxLng }
+        }).select('-description -images').sort({ order: 1 }).lean();
+
+        if (zoomLevel === null || zoomLevel >= CLUSTER_MAX_ZOOM) {
+            return res.status(200).json({ count: pois.length, bbox: bounds, zoom: zoomLevel, clustered: false, pois, clusters: [] });
+        }
+
+        const { points, clusters } = clusterPoints(pois, Math.floor(zoomLevel));
+        res.status(200).json({ count: pois.length, bbox: bounds, zoom: zoomLevel, clustered: true, pois: points, clusters });
     } catch (error) {
         console.error("Error fetching POIs:", error);
         res.status(500).json({ message: "Error fetching POIs", error: error.message });
     }
 };
 
+/**
+ * Finds the accessible entrance of a building closest to a point
+ * @function nearestAccessibleEntrance
+ * @param {Object} building - Building plain object with entrances
+ * @param {{lat: number, lng: number}} point - Point to measure from
+ * @returns {{entrance: Object, distance: number}|null} Closest accessible entrance and its distance in meters, or null if the building has none
+ */
+const nearestAccessibleEntrance = (building, point) => {
+  let best = null;
+  for (const entrance of building.entrances || []) {
+    if (!entrance.accessible) continue;
+    const distance = distanceMeters(point, { lat: entrance.lat, lng: entrance.long });
+    if (!best || distance < best.distance) best = { entrance, distance };
+  }
+  return best;
+};
+
+/**
+ * Retrieves the buildings within a radius of a point, nearest first, each with its distance in meters.
+ * Distances are to the building pin, or in accessible mode to the closest accessible entrance,
+ * which is returned as `entrance`.
+ * @async
+ * @function getNearbyBuildings
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.lat - Latitude of the point
+ * @param {string} req.query.lng - Longitude of the point
+ * @param {string} [req.query.radius=1000] - Search radius in meters (at most 20000)
+ * @param {string} [req.query.limit=20] - Maximum number of buildings (at most 100)
+ * @param {string} [req.query.accessible] - "true" to only return buildings with an accessible entrance within the radius
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with buildings sorted by distance, or error message
+ */
+exports.getNearbyBuildings = async (req, res) => {
+  try {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+
+    if (req.query.lat === undefined || req.query.lng === undefined || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({ message: 'lat and lng are required numbers.' });
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({ message: 'lat must be between -90 and 90 and lng between -180 and 180.' });
+    }
+
+    const radius = req.query.radius === undefined ? NEARBY_RADIUS.defaultRadius : Number(req.query.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > NEARBY_RADIUS.maxRadius) {
+      return res.status(400).json({ message: `radius must be a number of meters between 0 and ${NEARBY_RADIUS.maxRadius}.` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || NEARBY_LIMIT.defaultLimit, 1), NEARBY_LIMIT.maxLimit);
+    const accessible = req.query.accessible === 'true';
+
+    if (!accessible) {
+      const buildings = await Building.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [lng, lat] },
+            key: 'location',
+            distanceField: 'distance',
+            maxDistance: radius,
+            spherical: true
+          }
+        },
+        { $limit: limit },
+        { $project: { description: 0, images: 0 } }
+      ]);
+
+      return res.status(200).json({
+        count: buildings.length,
+        center: { lat, lng },
+        radius,
+        accessible,
+        buildings: buildings.map(building => ({ ...building, distance: Math.round(building.distance) }))
+      });
+    }
+
+    // $geoNear measures to the closest entrance of any kind, so it only narrows the candidates:
+    // the distance to the closest accessible entrance is worked out here, then sorted and limited
+    const candidates = await Building.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          key: 'entrances.location',
+          distanceField: 'distance',
+          maxDistance: radius,
+          spherical: true,
+          query: { 'entrances.accessible': true }
+        }
+      },
+      { $project: { description: 0, images: 0 } }
+    ]);
+
+    const buildings = [];
+    for (const building of candidates) {
+      const closest = nearestAccessibleEntrance(building, { lat, lng });
+      if (!closest || closest.distance > radius) continue;
+      const { entrance, distance } = closest;
+      buildings.push({
+        ...building,
+        distance,
+        entrance: { name: entrance.name, lat: entrance.lat, long: entrance.long, automaticDoor: entrance.automaticDoor }
+      });
+    }
+    const nearest = buildings.sort((a, b) => a.distance - b.distance).slice(0, limit);
+
+    res.status(200).json({
+      count: nearest.length,
+      center: { lat, lng },
+      radius,
+      accessible,
+      buildings: nearest.map(building => ({ ...building, distance: Math.round(building.distance) }))
+    });
+  } catch (error) {
+    console.error("Error fetching nearby buildings:", error);
+    res.status(500).json({ message: "Error fetching nearby buildings", error: error.message });
+  }
+};
+
 // Get building detail by _id (protected)
 exports.getBuildingById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const building = await Building.findById(id).select('building_name lat long pointId order description images');
+        const building = await Building.findById(id).select('building_name lat long pointId order description images accessibility entrances');
     
         if (!building) {
             return res.status(404).json({ message: "Building not found for the given ID." });
@@ -79,4 +381,184 @@ exports.getBuildingById = async (req, res) => {
         console.error("Error fetching building detail:", error);
         res.status(500).json({ message: "Error fetching building detail", error: error.message });
     }
-};  
\ No newline at end of file
+};  
+/**
+ * Updates some fields of a building (requires buildings:write permission)
+ * @async
+ * @function updateBuilding
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Building ID to update
+ * @param {Object} req.body - Fields to change: building_name, description, pointId, lat, long, order, images,
+ * accessibility (only the flags sent are changed) and entrances (replaces the list)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated building or error message
+ */
+exports.updateBuilding = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid building ID format' });
+    }
+
+    const unknown = Object.keys(req.body || {}).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `These fields cannot be changed: ${unknown.join(', ')}` });
+    }
+
+    const changes = pickBuildingFields(req.body || {});
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: `Provide at least one of: ${EDITABLE_FIELDS.join(', ')}` });
+    }
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return res.status(404).json({ message: 'Building not found for the given ID.' });
+    }
+
+    // Accessibility flags that are not sent keep their current value
+    if (changes.accessibility && typeof changes.accessibility === 'object' && !Array.isArray(changes.accessibility)) {
+      for (const [flag, value] of Object.entries(changes.accessibility)) {
+        changes[`accessibility.${flag}`] = value;
+      }
+      delete changes.accessibility;
+    }
+
+    const before = building.toObject();
+    building.set(changes);
+    await building.save();
+    logAudit(req, {
+      action: 'building.updated',
+      target: { type: 'Building', id: building._id },
+      diff: diffFields(before, building, EDITABLE_FIELDS)
+    });
+
+    res.status(200).json({ message: 'Building updated successfully', building });
+  } catch (error) {
+    if (sendWriteError(res, error)) return;
+    console.error('Error updating building:', error);
+    res.status(500).json({ message: 'Error updating building', error: error.message });
+  }
+};
+
+/**
+ * Creates or fully replaces the building with a given pointId (requires buildings:write permission)
+ * @async
+ * @function replaceBuildingByPointId
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.pointId - Map point ID of the building
+ * @param {Object} req.body - Complete building: building_name, description, lat, long, order, images, and
+ * optionally accessibility and entrances
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the saved building (201 when created) or error message
+ */
+exports.replaceBuildingByPointId = async (req, res) => {
+  try {
+    const { pointId } = req.params;
+    const body = req.body || {};
+
+    if (body.pointId !== undefined && body.pointId !== pointId) {
+      return res.status(400).json({ message: 'pointId in the body must match the URL.' });
+    }
+
+    const unknown = Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown building fields: ${unknown.join(', ')}` });
+    }
+
+    const replacement = { ...pickBuildingFields(body), pointId };
+    const error = new Building(replacement).validateSync();
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error. Please ensure all fields are properly formatted.',
+        error: error.message
+      });
+    }
+
+    const existing = await Building.findOne({ pointId });
+    const building = await Building.findOneAndReplace({ pointId }, replacement, { new: true, upsert: true, runValidators: true });
+
+    logAudit(req, {
+      action: existing ? 'building.replaced' : 'building.created',
+      target: { type: 'Building', id: building._id },
+      diff: diffFields(existing ? existing.toObject() : null, building, EDITABLE_FIELDS)
+    });
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Building replaced successfully' : 'Building created successfully',
+      building
+    });
+  } catch (error) {
+    if (sendWriteError(res, error)) return;
+    console.error('Error saving building:', error);
+    res.status(500).json({ message: 'Error saving building', error: error.message });
+  }
+};
+
+/**
+ * Deletes a building (requires buildings:write permission). If events reference it, the
+ * request is refused unless `events` says whether to detach them from the building or delete them.
+ * @async
+ * @function deleteBuilding
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Building ID to delete
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.events] - "detach" to clear the events' building_id, "delete" to delete them
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the deleted building and affected event count, or error message
+ */
+exports.deleteBuilding = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { events } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid building ID format' });
+    }
+
+    if (events !== undefined && !EVENT_HANDLING.includes(events)) {
+      return res.status(400).json({ message: `events must be one of: ${EVENT_HANDLING.join(', ')}` });
+    }
+
+    const building = await Building.findById(id);
+    if (!building) {
+      return res.status(404).json({ message: 'Building not found for the given ID.' });
+    }
+
+    const eventCount = await Event.countDocuments({ building_id: building._id });
+    if (eventCount > 0 && !events) {
+      return res.status(409).json({
+        message: `${eventCount} event(s) take place in this building. Pass events=detach or events=delete to continue.`,
+        eventCount
+      });
+    }
+
+    let eventsAffected = 0;
+    if (eventCount > 0 && events === 'detach') {
+      eventsAffected = (await Event.updateMany({ building_id: building._id }, { $set: { building_id: null } })).modifiedCount;
+    } else if (eventCount > 0 && events === 'delete') {
+      eventsAffected = (await Event.deleteMany({ building_id: building._id })).deletedCount;
+    }
+
+    await building.deleteOne();
+    logAudit(req, {
+      action: 'building.deleted',
+      target: { type: 'Building', id: building._id },
+      diff: diffFields(building.toObject(), null, EDITABLE_FIELDS),
+      metadata: { events: eventCount > 0 ? events : null, eventsAffected }
+    });
+
+    res.status(200).json({
+      message: 'Building deleted successfully',
+      building,
+      events: eventCount > 0 ? events : null,
+      eventsAffected
+    });
+  } catch (error) {
+    console.error('Error deleting building:', error);
+    res.status(500).json({ message: 'Error deleting building', error: error.message });
+  }
+};
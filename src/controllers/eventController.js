@@ -5,15 +5,21 @@
 
 const Event = require('../models/event');
 const mongoose = require('mongoose');
+const { logAudit, diffFields } = require('../utils/audit');
 
 /**
- * Creates a new event (admin only)
+ * Event fields compared for the audit log
+ * @type {string[]}
+ */
+const AUDITED_FIELDS = ['name', 'date', 'time', 'location', 'description', 'images', 'building_id'];
+
+/**
+ * Creates a new event (requires events:create permission)
  * @async
  * @function createEvent
  * @param {Object} req - Express request object
  * @param {Object} req.user - User object from auth middleware
  * @param {string} req.user.userId - ID of the authenticated user
- * @param {string} req.user.role - User role (must be 'admin')
  * @param {Object} req.body - Request body
  * @param {string} req.body.name - Event name
  * @param {string} req.body.date - Event date
@@ -29,12 +35,6 @@ exports.createEvent = async (req, res) => {
   try {
     // Access the authenticated user from the request object
     const userId = req.user.userId;
-    const userRole = req.user.role;
-
-    // Allow only admin to create events
-    if (userRole !== 'admin') {
-      return res.status(403).json({ message: 'Only admin users can create events.' });
-    }
     
     const { name, date, time, location, description, images, building_id } = req.body;
 
@@ -74,6 +74,11 @@ exports.createEvent = async (req, res) => {
 
     // Save event to the database
     await newEvent.save();
+    logAudit(req, {
+      action: 'event.created',
+      target: { type: 'Event', id: newEvent._id },
+      diff: diffFields(null, newEvent, AUDITED_FIELDS)
+    });
 
     res.status(201).json({ message: 'Event created successfully!', event: newEvent });
   } catch (error) {
@@ -166,7 +171,8 @@ exports.getEventById = async (req, res) => {
 };
 
 /**
- * Updates an existing event (admin only)
+ * Updates an existing event (requires events:update permission). Organizers can only
+ * update events they created; admins can update any event.
  * @async
  * @function updateEvent
  * @param {Object} req - Express request object
@@ -174,7 +180,7 @@ exports.getEventById = async (req, res) => {
  * @param {string} req.params.id - Event ID to update
  * @param {Object} req.user - User object from auth middleware
  * @param {string} req.user.userId - ID of the authenticated user
- * @param {string} req.user.role - User role (must be 'admin')
+ * @param {string} req.user.role - User role
  * @param {Object} req.body - Request body with fields to update
  * @param {string} [req.body.name] - Updated event name
  * @param {string} [req.body.date] - Updated event date
@@ -189,8 +195,6 @@ exports.getEventById = async (req, res) => {
 exports.updateEvent = async (req, res) => {
   try {
     const eventId = req.params.id;
-    const userId = req.user.userId;
-    const userRole = req.user.role;
 
     // Validate event ID
     if (!mongoose.Types.ObjectId.isValid(eventId)) {
@@ -203,13 +207,17 @@ exports.updateEvent = async (req, res) => {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Allow only admin to update events
-    if (userRole !== 'admin') {
-      return res.status(403).json({ message: 'Only admin users can update events.' });
+    // Organizers can only update their own events; admins can update any event
+    if (req.user.role !== 'admin' && String(event.created_by) !== String(req.user.userId)) {
+      return res.status(403).json({
+        message: 'You can only update events you created.',
+        missingPermissions: []
+      });
     }
 
     // Destructure request body
     const { name, date, time, location, description, images, building_id } = req.body;
+    const before = event.toObject();
 
     // Validate images if provided
     if (images) {
@@ -234,6 +242,11 @@ exports.updateEvent = async (req, res) => {
 
     // Save updated event
     await event.save();
+    logAudit(req, {
+      action: 'event.updated',
+      target: { type: 'Event', id: event._id },
+      diff: diffFields(before, event, AUDITED_FIELDS)
+    });
 
     res.status(200).json({ message: 'Event updated successfully', event });
   } catch (error) {
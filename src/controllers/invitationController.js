@@ -0,0 +1,245 @@
+/**
+ * @module controllers/invitationController
+ * @description Handles admin invitations for the organizer and admin roles, which cannot be obtained
+ * through open registration
+ */
+
+const Invitation = require('../models/invitation');
+const User = require('../models/user');
+const mongoose = require('mongoose');
+const { signInvitationToken, INVITATION_TOKEN_TTL_SECONDS } = require('../utils/tokens');
+const { sendEmail } = require('../utils/mailer');
+const { logAudit } = require('../utils/audit');
+
+/**
+ * Roles an invitation can grant
+ * @type {string[]}
+ */
+const INVITABLE_ROLES = Invitation.schema.path('role').enumValues;
+
+/**
+ * Longest lifetime an admin can give an invitation, in days. The invitation token must still
+ * verify when it is accepted, so this stays within how long utils/keyStore keeps retired keys.
+ * @type {number}
+ */
+const MAX_INVITATION_DAYS = INVITATION_TOKEN_TTL_SECONDS / (24 * 60 * 60);
+
+/**
+ * Invitation states accepted by the status filter
+ * @type {string[]}
+ */
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+/**
+ * Works out the state of an invitation
+ * @function invitationStatus
+ * @param {Object} invitation - Invitation document or plain object
+ * @returns {string} pending, accepted, revoked or expired
+ */
+const invitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+/**
+ * Converts an invitation into its API representation
+ * @function serializeInvitation
+ * @param {Object} invitation - Invitation document or plain object
+ * @returns {Object} Public invitation representation
+ */
+const serializeInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitationStatus(invitation),
+  invited_by: invitation.invited_by,
+  created_at: invitation.created_at,
+  expiresAt: invitation.expiresAt,
+  acceptedAt: invitation.acceptedAt,
+  accepted_user: invitation.accepted_user,
+  revokedAt: invitation.revokedAt,
+  revoked_by: invitation.revoked_by
+});
+
+/**
+ * Filter matching invitations that can still be accepted
+ * @function pendingFilter
+ * @returns {Object} MongoDB filter
+ */
+const pendingFilter = () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Invites someone to create an account with the organizer or admin role. A signed link is emailed
+ * to the address; only one invitation per address can be pending at a time.
+ * @async
+ * @function createInvitation
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Address to invite
+ * @param {string} req.body.role - Role to grant: organizer or admin
+ * @param {number} [req.body.expiresInDays=7] - Days until the invitation expires (at most 7)
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the acting admin
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the invitation or error message
+ */
+exports.createInvitation = async (req, res) => {
+  try {
+    const { role, expiresInDays } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+    }
+
+    let lifetimeMs = INVITATION_TOKEN_TTL_SECONDS * 1000;
+    if (expiresInDays !== undefined) {
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_INVITATION_DAYS) {
+        return res.status(400).json({ message: `expiresInDays must be a whole number between 1 and ${MAX_INVITATION_DAYS}.` });
+      }
+      lifetimeMs = expiresInDays * 24 * 60 * 60 * 1000;
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({ message: 'An account with this email already exists. Change its role instead.' });
+    }
+
+    if (await Invitation.exists({ email, ...pendingFilter() })) {
+      return res.status(409).json({ message: 'An invitation is already pending for this email. Revoke it before sending another.' });
+    }
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      invited_by: req.user.userId,
+      expiresAt: new Date(Date.now() + lifetimeMs)
+    });
+
+    const token = await signInvitationToken(invitation);
+    const baseUrl = process.env.INVITATION_URL || `${process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`}/auth/invitation`;
+    const acceptUrl = `${baseUrl}?token=${encodeURIComponent(token)}`;
+
+    logAudit(req, {
+      action: 'invitation.created',
+      target: { type: 'Invitation', id: invitation._id },
+      metadata: { email, role, expiresAt: invitation.expiresAt }
+    });
+
+    // The invitation stays valid if the email fails; revoke it and invite again to resend
+    let emailSent = true;
+    try {
+      const inviter = await User.findById(req.user.userId).select('firstName lastName').lean();
+      await sendEmail('invitation', {
+        to: email,
+        data: {
+          role,
+          inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}` : 'An administrator',
+          acceptUrl,
+          expiresAt: invitation.expiresAt
+        }
+      });
+    } catch (mailError) {
+      console.error('Error sending invitation email:', mailError);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      message: emailSent ? 'Invitation sent.' : 'Invitation created, but the email could not be sent.',
+      emailSent,
+      invitation: serializeInvitation(invitation)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error. Please ensure all fields are properly formatted.',
+        error: error.message
+      });
+    }
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ message: 'Error creating invitation', error: error.message });
+  }
+};
+
+/**
+ * Lists invitations, newest first
+ * @async
+ * @function listInvitations
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Only invitations in this state: pending, accepted, revoked or expired
+ * @param {string} [req.query.email] - Only invitations sent to this address
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with array of invitations or error message
+ */
+exports.listInvitations = async (req, res) => {
+  try {
+    const { status, email } = req.query;
+
+    const filter = {};
+    if (email) filter.email = String(email).trim();
+    if (status) {
+      if (!INVITATION_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}` });
+      }
+      if (status === 'pending') Object.assign(filter, pendingFilter());
+      if (status === 'accepted') filter.acceptedAt = { $ne: null };
+      if (status === 'revoked') Object.assign(filter, { acceptedAt: null, revokedAt: { $ne: null } });
+      if (status === 'expired') Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } });
+    }
+
+    const invitations = await Invitation.find(filter).sort({ created_at: -1 }).lean();
+
+    res.status(200).json({ invitations: invitations.map(serializeInvitation) });
+  } catch (error) {
+    console.error('Error listing invitations:', error);
+    res.status(500).json({ message: 'Error fetching invitations', error: error.message });
+  }
+};
+
+/**
+ * Revokes a pending invitation. Its link stops working immediately.
+ * @async
+ * @function revokeInvitation
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Invitation ID to revoke
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the acting admin
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the revoked invitation or error message
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid invitation ID format' });
+    }
+
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const status = invitationStatus(invitation);
+    if (status !== 'pending') {
+      return res.status(400).json({ message: `Only pending invitations can be revoked; this one is ${status}.` });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revoked_by = req.user.userId;
+    await invitation.save();
+    logAudit(req, { action: 'invitation.revoked', target: { type: 'Invitation', id: invitation._id }, metadata: { email: invitation.email } });
+
+    res.status(200).json({ message: 'Invitation revoked successfully', invitation: serializeInvitation(invitation) });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ message: 'Error revoking invitation', error: error.message });
+  }
+};
@@ -0,0 +1,278 @@
+/**
+ * @module controllers/oidcController
+ * @description Handles OpenID Connect single sign-on with the authorization-code + PKCE flow
+ */
+
+const User = require("../models/user");
+const OidcState = require("../models/oidcState");
+const { CLAIMABLE_ROLES, getProvider, listProviders } = require("../config/oidc");
+const {
+    createAuthRequest,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+} = require("../utils/oidcClient");
+const { createSession } = require("../utils/sessions");
+const { signTwoFactorChallenge } = require("../utils/tokens");
+const { serializeUser } = require("../utils/serializeUser");
+const { logAudit, diffFields } = require("../utils/audit");
+
+/**
+ * How long a started sign-in can be completed, in milliseconds
+ * @type {number}
+ */
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Derives a user role from the provider's role claim. The highest-ranked matching role wins.
+ * @function deriveRole
+ * @param {Object} provider - Provider config
+ * @param {Object} claims - Verified ID token claims
+ * @returns {string} Role (visitor, student or organizer)
+ */
+const deriveRole = (provider, claims) => {
+    const raw = provider.roleClaim ? claims[provider.roleClaim] : undefined;
+    const values = Array.isArray(raw) ? raw : raw != null ? [raw] : [];
+
+    const roles = values
+        .map(value => provider.roleMap[value])
+        .filter(role => CLAIMABLE_ROLES.includes(role));
+
+    if (roles.length === 0) {
+        return CLAIMABLE_ROLES.includes(provider.defaultRole) ? provider.defaultRole : "visitor";
+    }
+    return roles.sort((a, b) => CLAIMABLE_ROLES.indexOf(b) - CLAIMABLE_ROLES.indexOf(a))[0];
+};
+
+/**
+ * Finds the user linked to an identity, links an existing account with the same email,
+ * or creates a new account. Claim-derived roles only ever upgrade an existing account.
+ * New accounts and newly linked identities are audited.
+ * @async
+ * @function findOrCreateUser
+ * @param {Object} req - Express request object of the callback
+ * @param {Object} provider - Provider config
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} User document
+ */
+const findOrCreateUser = async (req, provider, claims) => {
+    const role = deriveRole(provider, claims);
+
+    let user = await User.findOne({ oidcIdentities: { $elemMatch: { provider: provider.id, subject: claims.sub } } });
+    if (!user) {
+        user = await User.findOne({ email: claims.email });
+    }
+
+    if (!user) {
+        const created = await User.create({
+            firstName: claims.given_name || claims.name || claims.email.split("@")[0],
+            lastName: claims.family_name || "-",
+            email: claims.email,
+            role,
+            emailVerified: true,
+            oidcIdentities: [{ provider: provider.id, subject: claims.sub }]
+        });
+        logAudit(req, {
+            action: "auth.register",
+            actor: created,
+            target: { type: "User", id: created._id },
+            metadata: { provider: provider.id, role: created.role }
+        });
+        return created;
+    }
+
+    const linked = user.oidcIdentities.some(identity =>
+        identity.provider === provider.id && identity.subject === claims.sub);
+    if (!linked) {
+        user.oidcIdentities.push({ provider: provider.id, subject: claims.sub });
+    }
+    const previousRole = user.role;
+
+    // The provider has confirmed the address, so the account counts as verified
+    user.emailVerified = true;
+
+    const currentRank = CLAIMABLE_ROLES.indexOf(user.role);
+    if (currentRank !== -1 && CLAIMABLE_ROLES.indexOf(role) > currentRank) {
+        user.role = role;
+    }
+
+    await user.save();
+    if (!linked || user.role !== previousRole) {
+        logAudit(req, {
+            action: linked ? "auth.sso_role_upgraded" : "auth.sso_linked",
+            actor: user,
+            target: { type: "User", id: user._id },
+            diff: diffFields({ role: previousRole }, user, ["role"]),
+            metadata: { provider: provider.id }
+        });
+    }
+    return user;
+};
+
+/**
+ * Lists the configured single sign-on providers
+ * @function getOidcProviders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with array of providers
+ */
+exports.getOidcProviders = (req, res) => {
+    res.status(200).json({
+        providers: listProviders().map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            loginUrl: `/auth/oidc/${provider.id}/login`
+        }))
+    });
+};
+
+/**
+ * Starts a single sign-on login by redirecting to the provider's authorization endpoint
+ * @async
+ * @function startOidcLogin
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.provider - Provider ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.deviceName] - Name of the device signing in
+ * @param {string} [req.query.format] - "json" to receive the authorization URL instead of a redirect
+ * @param {Object} res - Express response object
+ * @returns {Object} Redirect to the provider, JSON response with the authorization URL, or error message
+ */
+exports.startOidcLogin = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ message: "Unknown sign-on provider" });
+        }
+
+        const authRequest = createAuthRequest();
+        const authorizationUrl = await buildAuthorizationUrl(provider, authRequest);
+
+        await OidcState.create({
+            state: authRequest.state,
+            provider: provider.id,
+            codeVerifier: authRequest.codeVerifier,
+            nonce: authRequest.nonce,
+            deviceName: typeof req.query.deviceName === "string" ? req.query.deviceName : null,
+            expiresAt: new Date(Date.now() + STATE_TTL_MS)
+        });
+
+        if (req.query.format === "json") {
+            return res.status(200).json({ authorizationUrl });
+        }
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        console.error("Error starting single sign-on:", error);
+        res.status(502).json({ message: "Could not reach the sign-on provider. Try again later." });
+    }
+};
+
+/**
+ * Completes a single sign-on login: exchanges the authorization code, verifies the ID token,
+ * links or creates the user and issues our own tokens
+ * @async
+ * @function oidcCallback
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.provider - Provider ID
+ * @param {Object} req.query - Query parameters set by the provider
+ * @param {string} req.query.code - Authorization code
+ * @param {string} req.query.state - State sent with the authorization request
+ * @param {string} [req.query.error] - Error code if the user did not sign in
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with user data and tokens, a two-factor challenge token, or error message
+ */
+exports.oidcCallback = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ message: "Unknown sign-on provider" });
+        }
+
+        const { code, state, error } = req.query;
+        if (error) {
+            return res.status(400).json({ message: "Single sign-on was not completed", error });
+        }
+        // Query strings can carry objects (?state[$ne]=x), which must not reach the state lookup
+        if (typeof code !== "string" || typeof state !== "string" || !code || !state) {
+            return res.status(400).json({ message: "Authorization code and state are required" });
+        }
+
+        // Each state can be redeemed once
+        const pending = await OidcState.findOneAndDelete({ state, provider: provider.id });
+        if (!pending || pending.expiresAt < new Date()) {
+            return res.status(400).json({ message: "Sign-on request expired or unknown. Please start again." });
+        }
+
+        let claims;
+        try {
+            const tokens = await exchangeCode(provider, code, pending.codeVerifier);
+            claims = await verifyIdToken(provider, tokens.id_token, pending.nonce);
+        } catch (verifyError) {
+            console.error("Single sign-on verification failed:", verifyError);
+            logAudit(req, {
+                action: "auth.login_failed",
+                actor: { id: null, email: null },
+                metadata: { reason: "sso_verification_failed", provider: provider.id }
+            });
+            return res.status(401).json({ message: "Single sign-on failed. Please try again." });
+        }
+
+        if (!claims.email || (!claims.email_verified && !provider.trustEmail)) {
+            logAudit(req, {
+                action: "auth.login_failed",
+                actor: { id: null, email: claims.email ? String(claims.email) : null },
+                metadata: { reason: "sso_email_unverified", provider: provider.id }
+            });
+            return res.status(401).json({ message: "Your sign-on provider did not supply a verified email address." });
+        }
+
+        const user = await findOrCreateUser(req, provider, claims);
+
+        if (user.disabled) {
+            logAudit(req, {
+                action: "auth.login_failed",
+                actor: user,
+                target: { type: "User", id: user._id },
+                metadata: { reason: "account_disabled", provider: provider.id }
+            });
+            return res.status(403).json({ message: "This account has been disabled. Please contact support." });
+        }
+
+        if (user.twoFactorEnabled) {
+            logAudit(req, {
+                action: "auth.login_challenge",
+                actor: user,
+                target: { type: "User", id: user._id },
+                metadata: { provider: provider.id }
+            });
+            return res.status(200).json({
+                message: "Two-factor authentication required",
+                twoFactorRequired: true,
+                challengeToken: await signTwoFactorChallenge(user)
+            });
+        }
+
+        // Multi-factor authentication performed by the provider counts as two-factor
+        const mfa = Array.isArray(claims.amr) && claims.amr.includes("mfa");
+        const { session, accessToken, refreshToken } = await createSession(user, req, { mfa, deviceName: pending.deviceName });
+        logAudit(req, {
+            action: "auth.login",
+            actor: user,
+            target: { type: "User", id: user._id },
+            metadata: { sessionId: session._id, provider: provider.id, mfa }
+        });
+
+        res.status(200).json({
+            message: "Login successful",
+            accessToken,
+            refreshToken,
+            ...(user.role === "admin" && !mfa && { twoFactorEnrollmentRequired: true }),
+            user: serializeUser(user)
+        });
+    } catch (error) {
+        console.error("Error completing single sign-on:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -0,0 +1,522 @@
+/**
+ * @module controllers/profileController
+ * @description Handles self-service account operations for the signed-in user: profile, password and email
+ * changes, personal data export and account deletion
+ */
+
+const User = require("../models/user");
+const Event = require("../models/event");
+const Session = require("../models/session");
+const AuditLog = require("../models/auditLog");
+const Guest = require("../models/guest");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const hashPassword = require("../utils/hashPassword");
+const hashToken = require("../utils/hashToken");
+const { sendEmail, localeFor } = require("../utils/mailer");
+const { isStrongPassword, passwordPolicyMessage } = require("../utils/passwordPolicy");
+const { serializeUser } = require("../utils/serializeUser");
+const { createSession, revokeAllSessions } = require("../utils/sessions");
+const { accountKey, getLockout, registerFailures, clearFailures, sendLockout } = require("../utils/throttle");
+const { DELETION_GRACE_PERIOD_MS } = require("../utils/accountDeletion");
+const { logAudit, diffFields } = require("../utils/audit");
+
+/**
+ * Profile fields the user may change through PATCH /auth/me
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = ["firstName", "lastName", "preferences"];
+
+/**
+ * Preference keys the user may change
+ * @type {string[]}
+ */
+const EDITABLE_PREFERENCES = ["language", "eventReminders", "distanceUnit"];
+
+/**
+ * Lifetime of an email change confirmation link
+ * @type {number}
+ */
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks the current password of the signed-in user, counting failures against the account
+ * @async
+ * @function checkCurrentPassword
+ * @param {Object} user - User document
+ * @param {string} currentPassword - Password supplied by the client
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True if the password matches; otherwise a response has been sent
+ */
+const checkCurrentPassword = async (user, currentPassword, res) => {
+    const throttleKeys = [accountKey("current_password", user._id)];
+    const lockout = await getLockout(throttleKeys);
+    if (lockout) {
+        sendLockout(res, lockout);
+        return false;
+    }
+
+    if (!user.password) {
+        res.status(400).json({ message: "Your account has no password yet. Use forgot password to set one." });
+        return false;
+    }
+
+    const isPasswordValid = currentPassword ? await bcrypt.compare(currentPassword, user.password) : false;
+    if (!isPasswordValid) {
+        await registerFailures(throttleKeys);
+        res.status(401).json({ message: "Current password is incorrect" });
+        return false;
+    }
+
+    await clearFailures(throttleKeys);
+    return true;
+};
+
+/**
+ * Sends the validation error response used across profile endpoints
+ * @function sendValidationError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Mongoose ValidationError
+ * @returns {Object} Express response
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+    message: "Validation error. Please ensure all fields are properly formatted.",
+    error: error.message
+});
+
+/**
+ * Returns the signed-in user's profile
+ * @async
+ * @function getProfile
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user or error message
+ */
+exports.getProfile = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        res.status(200).json({ user: serializeUser(user) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error fetching profile", error: error.message });
+    }
+};
+
+/**
+ * Updates the signed-in user's name and preferences. Any other field, such as role,
+ * email or password, is refused.
+ * @async
+ * @function updateProfile
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} req.body - Fields to update
+ * @param {string} [req.body.firstName] - New first name
+ * @param {string} [req.body.lastName] - New last name
+ * @param {Object} [req.body.preferences] - Preferences to change (language, eventReminders, distanceUnit)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the updated user or error message
+ */
+exports.updateProfile = async (req, res) => {
+    try {
+        const body = req.body || {};
+
+        const disallowed = Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field));
+        if (disallowed.length > 0) {
+            return res.status(400).json({
+                message: "Some fields cannot be changed here.",
+                error: `Not editable: ${disallowed.join(", ")}. Editable fields: ${EDITABLE_FIELDS.join(", ")}.`
+            });
+        }
+
+        const preferences = body.preferences || {};
+        if (typeof preferences !== "object" || Array.isArray(preferences)) {
+            return res.status(400).json({ message: "Preferences must be an object." });
+        }
+        const unknownPreferences = Object.keys(preferences).filter(key => !EDITABLE_PREFERENCES.includes(key));
+        if (unknownPreferences.length > 0) {
+            return res.status(400).json({
+                message: "Unknown preferences.",
+                error: `Unknown: ${unknownPreferences.join(", ")}. Supported: ${EDITABLE_PREFERENCES.join(", ")}.`
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (body.firstName !== undefined) user.firstName = body.firstName;
+        if (body.lastName !== undefined) user.lastName = body.lastName;
+        for (const key of Object.keys(preferences)) {
+            user.set(`preferences.${key}`, preferences[key]);
+        }
+
+        // Runs the User schema validators on the changed fields
+        await user.save();
+
+        res.status(200).json({ message: "Profile updated successfully", user: serializeUser(user) });
+    } catch (error) {
+        if (error.name === "ValidationError" || error.name === "CastError") {
+            return sendValidationError(res, error);
+        }
+        console.error(error);
+        res.status(500).json({ message: "Error updating profile", error: error.message });
+    }
+};
+
+/**
+ * Changes the signed-in user's password after checking the current one. Every other
+ * session is logged out and a new session is started for the current device.
+ * @async
+ * @function changePassword
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.currentPassword - Current password
+ * @param {string} req.body.newPassword - New password (same policy as registration)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with new tokens or error message
+ */
+exports.changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!newPassword) {
+            return res.status(400).json({ message: "Current password and new password are required." });
+        }
+
+        if (!isStrongPassword(newPassword)) {
+            return res.status(400).json({ message: passwordPolicyMessage });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!(await checkCurrentPassword(user, currentPassword, res))) return;
+
+        user.password = await hashPassword(newPassword);
+        user.passwordChangedAt = new Date(Date.now() - 1000);
+        await user.save();
+
+        // Log out every device, then sign the current one back in
+        await revokeAllSessions(user._id);
+        logAudit(req, { action: "auth.password_changed", target: { type: "User", id: user._id } });
+        const { accessToken, refreshToken } = await createSession(user, req, { mfa: Boolean(req.user.mfa) });
+
+        res.status(200).json({
+            message: "Password changed successfully. Other devices have been logged out.",
+            accessToken,
+            refreshToken
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error changing password", error: error.message });
+    }
+};
+
+/**
+ * Starts an email change: emails a confirmation link to the new address. The address
+ * only changes once the link is opened.
+ * @async
+ * @function changeEmail
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.newEmail - New email address
+ * @param {string} req.body.currentPassword - Current password
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the link was sent or error message
+ */
+exports.changeEmail = async (req, res) => {
+    try {
+        const { newEmail, currentPassword } = req.body;
+
+        if (!newEmail) {
+            return res.status(400).json({ message: "New email and current password are required." });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!(await checkCurrentPassword(user, currentPassword, res))) return;
+
+        if (newEmail === user.email) {
+            return res.status(400).json({ message: "This is already your email address." });
+        }
+
+        if (await User.exists({ email: newEmail })) {
+            return res.status(400).json({ message: "An account with this email already exists." });
+        }
+
+        const token = crypto.randomBytes(32).toString("hex");
+        user.pendingEmail = newEmail;
+        user.pendingEmailToken = hashToken(token);
+        user.pendingEmailExpires = new Date(Date.now() + EMAIL_CHANGE_TTL_MS);
+
+        // Runs the User schema email validator on the new address
+        await user.save();
+
+        const baseUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+        const link = `${baseUrl}/auth/confirm_email_change?token=${token}`;
+
+        await sendEmail("emailChangeConfirmation", {
+            to: newEmail,
+            locale: localeFor(user),
+            data: { firstName: user.firstName, confirmUrl: link, validHours: EMAIL_CHANGE_TTL_MS / (60 * 60 * 1000) }
+        });
+
+        res.status(200).json({ message: "Confirmation link sent to your new email address." });
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return sendValidationError(res, error);
+        }
+        console.error(error);
+        res.status(500).json({ message: "Error changing email", error: error.message });
+    }
+};
+
+/**
+ * Completes an email change from the confirmation link. Student access follows the new
+ * address: it is granted for a Northeastern address and removed otherwise.
+ * @async
+ * @function confirmEmailChange
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters from the confirmation link
+ * @param {string} req.query.token - Confirmation token from the email
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming the change or error message
+ */
+exports.confirmEmailChange = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.status(400).json({ message: "Confirmation token is required." });
+        }
+
+        const user = await User.findOne({
+            pendingEmailToken: hashToken(token),
+            pendingEmailExpires: { $gt: new Date() }
+        });
+        if (!user) {
+            return res.status(400).json({ message: "Invalid or expired confirmation link. Please request the change again." });
+        }
+
+        if (await User.exists({ email: user.pendingEmail })) {
+            return res.status(400).json({ message: "An account with this email already exists." });
+        }
+
+        const previousEmail = user.email;
+        const before = { email: user.email, role: user.role };
+        user.email = user.pendingEmail;
+        user.emailVerified = true;
+        user.pendingEmail = null;
+        user.pendingEmailToken = null;
+        user.pendingEmailExpires = null;
+
+        if (["student", "visitor"].includes(user.role)) {
+            user.role = user.email.endsWith("@northeastern.edu") ? "student" : "visitor";
+        }
+        await user.save();
+        logAudit(req, {
+            action: "auth.email_changed",
+            actor: user,
+            target: { type: "User", id: user._id },
+            diff: diffFields(before, user, ["email", "role"])
+        });
+
+        // Let the previous address know, in case the change was not made by its owner
+        sendEmail("emailChanged", {
+            to: previousEmail,
+            locale: localeFor(user),
+            data: { firstName: user.firstName, newEmail: user.email }
+        }).catch(mailError => console.error("Error sending email change notice:", mailError));
+
+        res.status(200).json({
+            message: "Email address changed successfully. Refresh your token to pick up the change.",
+            user: serializeUser(user)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error confirming email change." });
+    }
+};
+
+/**
+ * Describes who performed an audit log entry, from the point of view of the exported user.
+ * Administrators are not named, and their IP address and user agent are left out.
+ * @function exportAuditEntry
+ * @param {Object} entry - Audit log entry
+ * @param {Object} user - User document being exported
+ * @returns {Object} Entry as it appears in the archive
+ */
+const exportAuditEntry = (entry, user) => {
+    const byUser = String(entry.actor) === String(user._id) && !entry.impersonator;
+    return {
+        action: entry.action,
+        performedBy: byUser ? "you" : entry.impersonator ? "administrator impersonating you" : "administrator",
+        target: entry.target,
+        diff: entry.diff,
+        metadata: entry.metadata,
+        ...(byUser && { ip: entry.ip, userAgent: entry.userAgent }),
+        created_at: entry.created_at
+    };
+};
+
+/**
+ * Returns a JSON archive of all personal data tied to the signed-in user: profile, created
+ * events, sessions, audit log entries about the user and the guest sessions they upgraded from
+ * @async
+ * @function exportMyData
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON archive sent as a file download, or error message
+ */
+exports.exportMyData = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const [events, sessions, auditEntries, guests] = await Promise.all([
+            Event.find({ created_by: user._id }).sort({ created_at: 1 }).lean(),
+            Session.find({ user: user._id })
+                .select("deviceName userAgent ip mfa created_at last_used_at expiresAt")
+                .sort({ created_at: 1 })
+                .lean(),
+            AuditLog.find({
+                $or: [{ actor: user._id }, { "target.type": "User", "target.id": String(user._id) }]
+            }).sort({ created_at: 1 }).lean(),
+            Guest.find({ upgradedTo: user._id }).select("userAgent created_at upgradedAt").sort({ created_at: 1 }).lean()
+        ]);
+
+        const archive = {
+            exportedAt: new Date(),
+            profile: {
+                ...serializeUser(user),
+                pendingEmail: user.pendingEmail,
+                passwordChangedAt: user.passwordChangedAt,
+                deletionRequestedAt: user.deletionRequestedAt,
+                singleSignOnIdentities: user.oidcIdentities.map(({ provider, subject }) => ({ provider, subject }))
+            },
+            events,
+            sessions: sessions.map(({ _id, ...session }) => ({ id: _id, ...session })),
+            auditLog: auditEntries.map(entry => exportAuditEntry(entry, user)),
+            guestSessions: guests.map(({ _id, ...guest }) => ({ id: _id, ...guest }))
+        };
+
+        res.set("Content-Disposition", `attachment; filename="xplore-nu-export-${user._id}.json"`);
+        res.status(200).json(archive);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error exporting data", error: error.message });
+    }
+};
+
+/**
+ * Schedules deletion of the signed-in user's account after a grace period and logs out
+ * every device. Until then, signing in and cancelling keeps the account.
+ * @async
+ * @function requestAccountDeletion
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.currentPassword - Current password
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the scheduled deletion date or error message
+ */
+exports.requestAccountDeletion = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.role === "admin") {
+            return res.status(403).json({ message: "Admin accounts cannot be deleted. Ask another admin to change your role first." });
+        }
+
+        if (user.deletionScheduledFor) {
+            return res.status(400).json({
+                message: "Account deletion is already scheduled.",
+                deletionScheduledFor: user.deletionScheduledFor
+            });
+        }
+
+        if (!(await checkCurrentPassword(user, (req.body || {}).currentPassword, res))) return;
+
+        user.deletionRequestedAt = new Date();
+        user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_PERIOD_MS);
+        await user.save();
+        await revokeAllSessions(user._id);
+        logAudit(req, {
+            action: "account.deletion_requested",
+            target: { type: "User", id: user._id },
+            metadata: { deletionScheduledFor: user.deletionScheduledFor }
+        });
+
+        sendEmail("accountDeletionScheduled", {
+            to: user.email,
+            locale: localeFor(user),
+            data: { firstName: user.firstName, deletionScheduledFor: user.deletionScheduledFor }
+        }).catch(mailError => console.error("Error sending account deletion notice:", mailError));
+
+        res.status(200).json({
+            message: "Account scheduled for deletion. Sign in and cancel before the date below to keep it.",
+            deletionScheduledFor: user.deletionScheduledFor
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error deleting account", error: error.message });
+    }
+};
+
+/**
+ * Cancels a pending deletion of the signed-in user's account
+ * @async
+ * @function cancelAccountDeletion
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the user or error message
+ */
+exports.cancelAccountDeletion = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.deletionScheduledFor) {
+            return res.status(400).json({ message: "Account deletion is not scheduled." });
+        }
+
+        user.deletionRequestedAt = null;
+        user.deletionScheduledFor = null;
+        await user.save();
+        logAudit(req, { action: "account.deletion_cancelled", target: { type: "User", id: user._id } });
+
+        res.status(200).json({ message: "Account deletion cancelled.", user: serializeUser(user) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error cancelling account deletion", error: error.message });
+    }
+};
@@ -0,0 +1,300 @@
+/**
+ * @module controllers/routeController
+ * @description Handles walking directions between campus buildings and admin import of the campus path network
+ */
+
+const Building = require('../models/building');
+const PathNode = require('../models/pathNode');
+const PathEdge = require('../models/pathEdge');
+const { distanceMeters } = require('../utils/geo');
+const { loadGraph, invalidateGraph, nearestNode, findPath, describeRoute, WALKING_SPEED_MPS } = require('../utils/routing');
+const { logAudit } = require('../utils/audit');
+
+/**
+ * How far a building without mapped entrances can be from the path network, in meters
+ * @type {number}
+ */
+const MAX_SNAP_DISTANCE_M = 250;
+
+/**
+ * How much shorter than the straight line between its nodes an imported edge may be, in meters,
+ * to allow for rounding in survey data. Such edges are stored with the straight-line length.
+ * @type {number}
+ */
+const EDGE_LENGTH_TOLERANCE_M = 1;
+
+/**
+ * Node and edge fields accepted by the import
+ * @type {{node: string[], edge: string[]}}
+ */
+const IMPORT_FIELDS = {
+  node: ['nodeId', 'lat', 'long', 'pointId', 'name'],
+  edge: ['from', 'to', 'length', 'surface', 'stairs', 'indoor', 'oneway', 'name']
+};
+
+/**
+ * Copies the listed fields from an object, dropping anything else
+ * @function pick
+ * @param {Object} source - Object to copy from
+ * @param {string[]} fields - Fields to keep
+ * @returns {Object} Object with the fields that were set
+ */
+const pick = (source, fields) => {
+  const result = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) result[field] = source[field];
+  }
+  return result;
+};
+
+/**
+ * Joins a point to the path network: at its own node when it has one, otherwise at the nearest node
+ * @function terminalFor
+ * @param {Object} graph - Campus path graph
+ * @param {{lat: number, lng: number}} position - Point to join
+ * @param {string|null} nodeId - Node recorded for the point, if any
+ * @param {Object} extra - Fields copied onto the terminal
+ * @returns {Object|null} Terminal with nodeId, connector cost and position, or null if too far from the network
+ */
+const terminalFor = (graph, position, nodeId, extra) => {
+  if (nodeId && graph.nodes.has(nodeId)) {
+    return { ...extra, nodeId, cost: distanceMeters(position, graph.nodes.get(nodeId)), position };
+  }
+  const nearest = nearestNode(graph, position, MAX_SNAP_DISTANCE_M);
+  return nearest ? { ...extra, nodeId: nearest.node.nodeId, cost: nearest.distance, position } : null;
+};
+
+/**
+ * Lists where a walk to or from a building can join the path network. In accessible mode only the
+ * building's accessible entrances are used. Otherwise every mapped entrance is a candidate, and a
+ * building without any joins at the node nearest to its pin.
+ * @function resolveEndpoints
+ * @param {Object} graph - Campus path graph
+ * @param {Object} building - Building plain object with entrances
+ * @param {boolean} accessible - Whether only accessible entrances can be used
+ * @returns {Object[]} Terminals for findPath, each with a connector cost and position; empty if none can be reached
+ */
+const resolveEndpoints = (graph, building, accessible) => {
+  const entrances = (building.entrances || []).filter(entrance => !accessible || entrance.accessible);
+  const terminals = entrances
+    .map(entrance => terminalFor(graph, { lat: entrance.lat, lng: entrance.long }, entrance.nodeId, {
+      entrance: { name: entrance.name, accessible: entrance.accessible }
+    }))
+    .filter(Boolean);
+  if (accessible) return terminals;
+
+  // Entrance nodes imported with the path network carry no accessibility details
+  for (const nodeId of graph.entrances.get(building.pointId) || []) {
+    const node = graph.nodes.get(nodeId);
+    terminals.push({ nodeId, cost: 0, position: node, entrance: { name: node.name, accessible: null } });
+  }
+  if (terminals.length > 0) return terminals;
+
+  const pin = terminalFor(graph, { lat: building.lat, lng: building.long }, null, { entrance: null });
+  return pin ? [pin] : [];
+};
+
+/**
+ * Computes walking directions between two buildings. In accessible mode the route avoids stairs
+ * and starts and ends at accessible entrances.
+ * @async
+ * @function getRoute
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.from - pointId of the start building
+ * @param {string} req.query.to - pointId of the destination building
+ * @param {string} [req.query.accessible] - "true" for a step-free route between accessible entrances
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with a GeoJSON LineString (at least two positions, repeated when
+ * both ends are at the same point), distance in meters, duration in seconds and steps, or error message
+ */
+exports.getRoute = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const accessible = req.query.accessible === 'true';
+
+    if (!from || !to) {
+      return res.status(400).json({ message: 'from and to pointIds are required.' });
+    }
+    if (from === to) {
+      return res.status(400).json({ message: 'from and to must be different buildings.' });
+    }
+
+    const buildings = await Building.find({ pointId: { $in: [String(from), String(to)] } })
+      .select('building_name pointId lat long entrances')
+      .lean();
+    const origin = buildings.find(building => building.pointId === from);
+    const destination = buildings.find(building => building.pointId === to);
+    if (!origin || !destination) {
+      return res.status(404).json({ message: `Building not found for pointId ${origin ? to : from}.` });
+    }
+
+    const graph = await loadGraph();
+    if (graph.nodes.size === 0) {
+      return res.status(503).json({ message: 'Walking directions are not available yet: the campus path network has not been imported.' });
+    }
+
+    const starts = resolveEndpoints(graph, origin, accessible);
+    const goals = resolveEndpoints(graph, destination, accessible);
+    if (starts.length === 0 || goals.length === 0) {
+      const building = (starts.length === 0 ? origin : destination).building_name;
+      return res.status(422).json({
+        message: accessible
+          ? `${building} has no accessible entrance connected to the campus path network.`
+          : `${building} is not connected to the campus path network.`
+      });
+    }
+
+    const path = findPath(graph, starts, goals, accessible ? { allowEdge: edge => !edge.stairs } : {});
+    if (!path) {
+      return res.status(404).json({
+        message: accessible
+          ? 'No step-free walking route was found between these buildings.'
+          : 'No walking route was found between these buildings.'
+      });
+    }
+
+    const { start, goal } = path;
+    const destinationName = goal.entrance && goal.entrance.name
+      ? `${destination.building_name} (${goal.entrance.name})`
+      : destination.building_name;
+    const route = describeRoute(graph, path, { destinationName });
+
+    // Entrances and pins off the network are joined by a straight walk at each end
+    if (start.cost > 0) {
+      route.geometry.coordinates.unshift([start.position.lng, start.position.lat]);
+      route.steps[0].distance += Math.round(start.cost);
+      route.steps[0].duration += Math.round(start.cost / WALKING_SPEED_MPS);
+    }
+    if (goal.cost > 0) {
+      const lastWalk = route.steps[Math.max(route.steps.length - 2, 0)];
+      route.geometry.coordinates.push([goal.position.lng, goal.position.lat]);
+      lastWalk.distance += Math.round(goal.cost);
+      lastWalk.duration += Math.round(goal.cost / WALKING_SPEED_MPS);
+      route.steps[route.steps.length - 1].location = [goal.position.lng, goal.position.lat];
+    }
+    // Both ends can join the network at the same node with no walk to it; a LineString needs two positions
+    if (route.geometry.coordinates.length === 1) {
+      route.geometry.coordinates.push(route.geometry.coordinates[0]);
+    }
+    const connectors = start.cost + goal.cost;
+
+    res.status(200).json({
+      from: { pointId: origin.pointId, building_name: origin.building_name, entrance: start.entrance },
+      to: { pointId: destination.pointId, building_name: destination.building_name, entrance: goal.entrance },
+      accessible,
+      distance: Math.round(route.distance + connectors),
+      duration: Math.round(route.duration + connectors / WALKING_SPEED_MPS),
+      geometry: route.geometry,
+      steps: route.steps
+    });
+  } catch (error) {
+    console.error('Error computing route:', error);
+    res.status(500).json({ message: 'Error computing route', error: error.message });
+  }
+};
+
+/**
+ * Replaces the campus path network with an imported one (requires paths:write permission). The
+ * whole import is validated first, then the networks are swapped in a transaction, so the current
+ * network stays in place if anything fails. Edge lengths default to the straight-line distance
+ * between their nodes, and lengths just short of it are raised to it.
+ * @async
+ * @function importPathGraph
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {Array<Object>} req.body.nodes - Nodes: nodeId, lat, long, optional pointId (entrance of that building) and name
+ * @param {Array<Object>} req.body.edges - Edges: from, to, optional length (m), surface, stairs, indoor, oneway and name
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the imported counts and warnings, or error message
+ */
+exports.importPathGraph = async (req, res) => {
+  try {
+    const { nodes, edges } = req.body;
+
+    if (!Array.isArray(nodes) || nodes.length === 0 || !Array.isArray(edges) || edges.length === 0) {
+      return res.status(400).json({ message: 'Please provide non-empty nodes and edges arrays.' });
+    }
+
+    const nodeDocs = [];
+    const positions = new Map();
+    for (const [index, node] of nodes.entries()) {
+      const doc = new PathNode(pick(node || {}, IMPORT_FIELDS.node));
+      const error = doc.validateSync();
+      if (error) {
+        return res.status(400).json({ message: `Validation error in node ${index}.`, error: error.message });
+      }
+      if (positions.has(doc.nodeId)) {
+        return res.status(400).json({ message: `nodeId ${doc.nodeId} appears more than once.` });
+      }
+      positions.set(doc.nodeId, { lat: doc.lat, lng: doc.long });
+      nodeDocs.push(doc);
+    }
+
+    const edgeDocs = [];
+    for (const [index, edge] of edges.entries()) {
+      const fields = pick(edge || {}, IMPORT_FIELDS.edge);
+      const start = positions.get(fields.from);
+      const end = positions.get(fields.to);
+      if (!start || !end) {
+        return res.status(400).json({ message: `Edge ${index} refers to a node that is not in the import.` });
+      }
+      if (fields.from === fields.to) {
+        return res.status(400).json({ message: `Edge ${index} starts and ends at the same node.` });
+      }
+
+      const straight = distanceMeters(start, end);
+      if (fields.length === undefined) {
+        fields.length = straight;
+      } else if (typeof fields.length !== 'number' || !Number.isFinite(fields.length)) {
+        // Mongoose would cast strings like "1", skipping the minimum-length check the A* heuristic relies on
+        return res.status(400).json({ message: `Edge ${index} length must be a number of meters.` });
+      } else if (fields.length < straight - EDGE_LENGTH_TOLERANCE_M) {
+        return res.status(400).json({
+          message: `Edge ${index} (${fields.from} to ${fields.to}) is shorter than the ${Math.round(straight)} m straight line between its nodes.`
+        });
+      } else {
+        // Lengths within the tolerance are stored as the straight line, which keeps the A* heuristic admissible
+        fields.length = Math.max(fields.length, straight);
+      }
+
+      const doc = new PathEdge(fields);
+      const error = doc.validateSync();
+      if (error) {
+        return res.status(400).json({ message: `Validation error in edge ${index}.`, error: error.message });
+      }
+      edgeDocs.push(doc);
+    }
+
+    // Entrance pointIds that match no building are imported but reported
+    const entrancePointIds = [...new Set(nodeDocs.map(doc => doc.pointId).filter(Boolean))];
+    const knownPointIds = new Set(
+      (await Building.find({ pointId: { $in: entrancePointIds } }).select('pointId').lean()).map(building => building.pointId)
+    );
+    const unknownPointIds = entrancePointIds.filter(pointId => !knownPointIds.has(pointId));
+
+    // Swap the networks in one transaction, so a failed insert leaves the current network in place
+    await PathNode.db.transaction(async (session) => {
+      await PathEdge.deleteMany({}, { session });
+      await PathNode.deleteMany({}, { session });
+      await PathNode.insertMany(nodeDocs, { session });
+      await PathEdge.insertMany(edgeDocs, { session });
+    });
+    invalidateGraph();
+
+    logAudit(req, {
+      action: 'path_graph.imported',
+      metadata: { nodes: nodeDocs.length, edges: edgeDocs.length, entrances: entrancePointIds.length }
+    });
+
+    res.status(200).json({
+      message: 'Campus path network imported successfully',
+      nodes: nodeDocs.length,
+      edges: edgeDocs.length,
+      warnings: unknownPointIds.length > 0 ? [`Entrance nodes refer to unknown building pointIds: ${unknownPointIds.join(', ')}`] : []
+    });
+  } catch (error) {
+    console.error('Error importing path network:', error);
+    res.status(500).json({ message: 'Error importing path network', error: error.message });
+  }
+};
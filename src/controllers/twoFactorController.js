@@ -0,0 +1,384 @@
+/**
+ * @module controllers/twoFactorController
+ * @description Handles TOTP two-factor authentication: enrollment, recovery codes and the second login step
+ */
+
+const User = require("../models/user");
+const crypto = require("crypto");
+const hashToken = require("../utils/hashToken");
+const { serializeUser } = require("../utils/serializeUser");
+const { generateSecret, verifyCode, buildOtpauthUri } = require("../utils/totp");
+const { createSession, revokeAllSessions } = require("../utils/sessions");
+const { verifyToken } = require("../utils/tokens");
+const { getRevocationStore } = require("../utils/revocationStore");
+const { logAudit } = require("../utils/audit");
+const {
+    accountKey,
+    ipKey,
+    getLockout,
+    registerFailures,
+    clearFailures,
+    sendLockout
+} = require("../utils/throttle");
+
+/**
+ * Number of recovery codes issued at once
+ * @type {number}
+ */
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Generates a fresh set of recovery codes
+ * @function generateBackupCodes
+ * @returns {{codes: string[], hashes: string[]}} Plain codes to show once, and the hashes to store
+ */
+const generateBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString("hex");
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+/**
+ * Checks a second factor against a user's enrolled authenticator or recovery codes.
+ * On success the code is consumed on the user document, which the caller must save.
+ * @function checkSecondFactor
+ * @param {Object} user - User document with two-factor authentication enabled
+ * @param {Object} factor - Second factor supplied by the client
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.backupCode] - Recovery code
+ * @returns {boolean} True if the factor is valid, false otherwise
+ */
+const checkSecondFactor = (user, { code, backupCode }) => {
+    if (code) {
+        const step = verifyCode(user.twoFactorSecret, String(code), { lastUsedStep: user.twoFactorLastUsedStep });
+        if (step === null) return false;
+        user.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    if (backupCode) {
+        const hash = hashToken(String(backupCode).trim().toLowerCase());
+        const index = user.twoFactorBackupCodes.indexOf(hash);
+        if (index === -1) return false;
+        user.twoFactorBackupCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Checks the second factor required for an account change, behind the same lockout as the
+ * two-factor login step. Failures are counted and audited; on failure the response is sent.
+ * @async
+ * @function confirmSecondFactor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document with two-factor authentication enabled
+ * @param {Object} factor - Second factor supplied by the client (code or backupCode)
+ * @param {string} operation - Account change being confirmed, recorded in the audit log
+ * @returns {Promise<boolean>} True if the factor is valid, false if a response has been sent
+ */
+const confirmSecondFactor = async (req, res, user, factor, operation) => {
+    const accountThrottleKey = accountKey("2fa_verify", user._id);
+    const throttleKeys = [accountThrottleKey, ipKey("2fa_verify", req.ip)];
+    const lockout = await getLockout(throttleKeys);
+    if (lockout) {
+        sendLockout(res, lockout);
+        return false;
+    }
+
+    if (!checkSecondFactor(user, factor)) {
+        await registerFailures(throttleKeys);
+        const newLockout = await getLockout(throttleKeys);
+        logAudit(req, {
+            action: "auth.2fa_verify_failed",
+            target: { type: "User", id: user._id },
+            metadata: { operation, reason: `invalid_${factor.code ? "totp" : "backup_code"}`, lockedOut: Boolean(newLockout) }
+        });
+        if (newLockout) {
+            sendLockout(res, newLockout);
+        } else {
+            res.status(400).json({ message: "Invalid code. Please try again." });
+        }
+        return false;
+    }
+
+    await clearFailures([accountThrottleKey]);
+    return true;
+};
+
+/**
+ * Starts enrollment by generating a new TOTP secret for the current user
+ * @async
+ * @function setupTwoFactor
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the secret and otpauth URI for QR display, or error message
+ */
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+        }
+
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        res.status(200).json({
+            message: "Scan the QR code with your authenticator app, then confirm with a code.",
+            secret,
+            otpauthUri: buildOtpauthUri(secret, user.email)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error setting up two-factor authentication", error: error.message });
+    }
+};
+
+/**
+ * Confirms enrollment with a code from the authenticator app. All existing sessions are
+ * ended and a new two-factor session is started for the current device.
+ * @async
+ * @function enableTwoFactor
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - 6-digit TOTP code
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with recovery codes and new tokens, or error message
+ */
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+        }
+
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({ message: "No two-factor setup in progress. Please start setup again." });
+        }
+
+        const step = verifyCode(user.twoFactorPendingSecret, String(code || ""));
+        if (step === null) {
+            return res.status(400).json({ message: "Invalid code. Please try again." });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = null;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorBackupCodes = hashes;
+        await user.save();
+
+        // Sessions started with only a password are replaced by a two-factor session
+        await revokeAllSessions(user._id);
+        logAudit(req, { action: "auth.2fa_enabled", target: { type: "User", id: user._id } });
+        const { accessToken, refreshToken } = await createSession(user, req, { mfa: true });
+
+        res.status(200).json({
+            message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+            backupCodes: codes,
+            accessToken,
+            refreshToken
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error enabling two-factor authentication", error: error.message });
+    }
+};
+
+/**
+ * Turns off two-factor authentication for the current user. Admins must keep it on.
+ * @async
+ * @function disableTwoFactor
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.code] - 6-digit TOTP code
+ * @param {string} [req.body.backupCode] - Recovery code, instead of a TOTP code
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming two-factor authentication was disabled, or error message
+ */
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+        }
+
+        if (user.role === "admin") {
+            return res.status(403).json({ message: "Admin accounts must keep two-factor authentication enabled." });
+        }
+
+        if (!await confirmSecondFactor(req, res, user, req.body, "disable")) {
+            return;
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorLastUsedStep = null;
+        user.twoFactorBackupCodes = [];
+        await user.save();
+        logAudit(req, { action: "auth.2fa_disabled", target: { type: "User", id: user._id } });
+
+        res.status(200).json({ message: "Two-factor authentication disabled." });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error disabling two-factor authentication", error: error.message });
+    }
+};
+
+/**
+ * Replaces the current user's recovery codes with a new set
+ * @async
+ * @function regenerateBackupCodes
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - User object from auth middleware
+ * @param {string} req.user.userId - ID of the authenticated user
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - 6-digit TOTP code
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new recovery codes or error message
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+        }
+
+        if (!await confirmSecondFactor(req, res, user, { code: req.body.code }, "regenerate_backup_codes")) {
+            return;
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        user.twoFactorBackupCodes = hashes;
+        await user.save();
+        logAudit(req, { action: "auth.2fa_backup_codes_regenerated", target: { type: "User", id: user._id } });
+
+        res.status(200).json({ message: "Recovery codes regenerated.", backupCodes: codes });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Error regenerating recovery codes", error: error.message });
+    }
+};
+
+/**
+ * Completes a two-step login by exchanging the challenge token from loginUser and a
+ * TOTP or recovery code for access/refresh tokens. The challenge token is single-use.
+ * @async
+ * @function verifyTwoFactorLogin
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.challengeToken - Challenge token returned by /auth/login
+ * @param {string} [req.body.code] - 6-digit TOTP code
+ * @param {string} [req.body.backupCode] - Recovery code, instead of a TOTP code
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with user data and tokens or error message
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken } = req.body;
+
+        if (!challengeToken) {
+            return res.status(400).json({ message: "Challenge token is required" });
+        }
+
+        let decoded;
+        try {
+            decoded = await verifyToken(challengeToken);
+        } catch (error) {
+            return res.status(401).json({ message: "Invalid or expired challenge token. Please log in again." });
+        }
+
+        if (decoded.typ !== "2fa_challenge" || await getRevocationStore().isRevoked(decoded.jti)) {
+            return res.status(401).json({ message: "Invalid or expired challenge token. Please log in again." });
+        }
+
+        // Refuse attempts while the account or client IP is locked out
+        const accountThrottleKey = accountKey("2fa_verify", decoded.userId);
+        const throttleKeys = [accountThrottleKey, ipKey("2fa_verify", req.ip)];
+        const lockout = await getLockout(throttleKeys);
+        if (lockout) {
+            return sendLockout(res, lockout);
+        }
+
+        const user = await User.findById(decoded.userId);
+        if (!user || !user.twoFactorEnabled || user.disabled) {
+            return res.status(401).json({ message: "Invalid or expired challenge token. Please log in again." });
+        }
+
+        const secondFactor = req.body.code ? "totp" : "backup_code";
+        if (!checkSecondFactor(user, req.body)) {
+            await registerFailures(throttleKeys);
+            const newLockout = await getLockout(throttleKeys);
+            logAudit(req, {
+                action: "auth.login_failed",
+                actor: user,
+                target: { type: "User", id: user._id },
+                metadata: { reason: `invalid_${secondFactor}`, lockedOut: Boolean(newLockout) }
+            });
+            if (newLockout) {
+                return sendLockout(res, newLockout);
+            }
+            return res.status(401).json({ message: "Invalid code. Please try again." });
+        }
+
+        // Claim the challenge before anything is saved, so concurrent requests with it cannot both sign in
+        if (!await getRevocationStore().claim(decoded.jti, new Date(decoded.exp * 1000))) {
+            return res.status(401).json({ message: "Invalid or expired challenge token. Please log in again." });
+        }
+
+        await user.save();
+        // The IP counter is left to expire, so one valid code cannot reset it between guesses at other accounts
+        await clearFailures([accountThrottleKey]);
+
+        // Start a two-factor session for this device and issue its tokens
+        const { session, accessToken, refreshToken } = await createSession(user, req, { mfa: true });
+        logAudit(req, {
+            action: "auth.login",
+            actor: user,
+            target: { type: "User", id: user._id },
+            metadata: { sessionId: session._id, secondFactor }
+        });
+
+        res.status(200).json({
+            message: "Login successful",
+            accessToken,
+            refreshToken,
+            backupCodesRemaining: user.twoFactorBackupCodes.length,
+            user: serializeUser(user)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
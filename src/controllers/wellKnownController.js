@@ -0,0 +1,26 @@
+/**
+ * @module controllers/wellKnownController
+ * @description Serves public discovery documents under /.well-known
+ */
+
+const { getJwks } = require('../utils/keyStore');
+
+/**
+ * Returns the public JSON Web Key Set other services use to verify our tokens
+ * @async
+ * @function getJwksDocument
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JWKS document or error message
+ */
+exports.getJwksDocument = async (req, res) => {
+  try {
+    const jwks = await getJwks();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(jwks);
+  } catch (error) {
+    console.error("Error fetching JWKS:", error);
+    res.status(500).json({ message: "Error fetching key set", error: error.message });
+  }
+};
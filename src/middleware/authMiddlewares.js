@@ -4,44 +4,345 @@
  */
 
 const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const ApiKey = require('../models/apiKey');
+const Guest = require('../models/guest');
+const hashToken = require('../utils/hashToken');
+const { getRevocationStore } = require('../utils/revocationStore');
+const { ACCESS_TOKEN_TTL_SECONDS, verifyToken } = require('../utils/tokens');
+const { hasPermission } = require('../config/permissions');
+const { logAudit } = require('../utils/audit');
 
 /**
- * Set to store invalidated/blacklisted tokens
- * @type {Set<string>}
+ * HTTP methods that only read data; impersonation tokens are limited to these unless writes were allowed
+ * @type {string[]}
  */
-const blacklistedTokens = new Set();
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Checks if a token has been blacklisted
- * @function isTokenBlacklisted
- * @param {string} token - JWT token to check
- * @returns {boolean} True if token is blacklisted, false otherwise
+ * Returns the identifier a token is revoked under: its `jti` claim, or a hash of the
+ * raw token for tokens issued before `jti` was added
+ * @function getTokenId
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {string} token - Raw JWT
+ * @returns {string} Revocation key for the token
  */
-const isTokenBlacklisted = (token) => blacklistedTokens.has(token);
+const getTokenId = (decoded, token) =>
+    decoded.jti || hashToken(token);
 
 /**
- * Middleware to authenticate JWT tokens
+ * Returns the revocation key for a whole refresh token family
+ * @function getFamilyId
+ * @param {string} family - Refresh token family ID
+ * @returns {string} Revocation key for the family
+ */
+const getFamilyId = (family) => `fam:${family}`;
+
+/**
+ * Checks if a token, or the refresh token family it belongs to, has been revoked
+ * @async
+ * @function isTokenRevoked
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {string} token - Raw JWT
+ * @returns {Promise<boolean>} True if token is revoked, false otherwise
+ */
+const isTokenRevoked = async (decoded, token) => {
+    const store = getRevocationStore();
+    if (await store.isRevoked(getTokenId(decoded, token))) return true;
+    return Boolean(decoded.fam) && store.isRevoked(getFamilyId(decoded.fam));
+};
+
+/**
+ * Revokes every access token issued to a refresh token family. Entries only need
+ * to outlive the longest-lived access token of the family.
+ * @async
+ * @function revokeTokenFamily
+ * @param {string} family - Refresh token family ID
+ * @returns {Promise<void>}
+ */
+const revokeTokenFamily = async (family) => {
+    if (!family) return;
+    const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+    await getRevocationStore().revoke(getFamilyId(family), expiresAt);
+};
+
+/**
+ * Revokes a token until it would have expired. Expired or forged tokens are ignored.
+ * @async
+ * @function revokeToken
+ * @param {string} token - Raw JWT to revoke
+ * @returns {Promise<Object|null>} Decoded payload of the revoked token, or null if it was not valid
+ */
+const revokeToken = async (token) => {
+    if (!token) return null;
+
+    let decoded;
+    try {
+        decoded = await verifyToken(token, { ignoreExpiration: true });
+    } catch (err) {
+        return null;
+    }
+
+    const expiresAt = new Date(decoded.exp * 1000);
+    if (expiresAt > new Date()) {
+        await getRevocationStore().revoke(getTokenId(decoded, token), expiresAt);
+    }
+    return decoded;
+};
+
+/**
+ * Middleware to authenticate JWT tokens. Revoked tokens, tokens of disabled accounts
+ * and tokens issued before the user's last password change are rejected.
+ * @async
  * @function authenticateJWT
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @returns {void}
+ * @returns {Promise<void>}
  */
-const authenticateJWT = (req, res, next) => {
+const authenticateJWT = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
 
     const token = authHeader
 
-    if (isTokenBlacklisted(token)) {
-        return res.status(401).json({ message: 'Token is invalid (logged out)' });
+    let decoded;
+    try {
+        decoded = await verifyToken(token);
+    } catch (err) {
+        return res.status(403).json({ message: 'Invalid token' });
+    }
+
+    // Refresh, two-factor challenge and other tokens cannot be used as access tokens
+    if (decoded.typ !== 'access') {
+        return res.status(403).json({ message: 'Invalid token' });
     }
 
+    let user;
     try {
-        req.user = jwt.verify(token, process.env.JWT_SECRET);
-        next();
+        if (await isTokenRevoked(decoded, token)) {
+            return res.status(401).json({ message: 'Token is invalid (logged out)' });
+        }
+
+        user = await User.findById(decoded.userId).select('role disabled passwordChangedAt');
+        if (!user) {
+            return res.status(401).json({ message: 'Token is invalid (user not found)' });
+        }
+        if (user.disabled) {
+            return res.status(401).json({ message: 'Token is invalid (account disabled)' });
+        }
+        if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+            return res.status(401).json({ message: 'Token is invalid (password changed)' });
+        }
+
+        // Impersonation tokens stay valid only while the acting admin is still an active admin
+        if (decoded.act) {
+            const admin = await User.findById(decoded.act.sub).select('role disabled');
+            if (!admin || admin.role !== 'admin' || admin.disabled) {
+                return res.status(401).json({ message: 'Token is invalid (impersonation ended)' });
+            }
+        }
     } catch (err) {
+        console.error(err);
+        return res.status(500).json({ message: 'Server error' });
+    }
+
+    // Role changes take effect immediately rather than when the token is refreshed
+    req.user = { ...decoded, role: user.role };
+
+    if (decoded.act) {
+        const allowed = READ_METHODS.includes(req.method) || decoded.allowWrites === true;
+
+        // Every request made while impersonating is audited, including refused ones
+        logAudit(req, {
+            action: 'impersonation.request',
+            target: { type: 'User', id: decoded.userId },
+            metadata: { method: req.method, path: req.originalUrl, allowed }
+        });
+
+        if (!allowed) {
+            return res.status(403).json({
+                message: 'This impersonation token is read-only.',
+                impersonation: true
+            });
+        }
+    }
+
+    next();
+};
+
+/**
+ * Middleware that refuses impersonation tokens on account-security routes (password,
+ * email, two-factor, sessions, deletion and data export), even when writes are allowed.
+ * Must run after authenticateJWT.
+ * @function refuseImpersonation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const refuseImpersonation = (req, res, next) => {
+    if (req.user && req.user.act) {
+        return res.status(403).json({
+            message: 'This action is not available while impersonating a user.',
+            impersonation: true
+        });
+    }
+    next();
+};
+
+/**
+ * How often the last-used time of an API key is written, in milliseconds
+ * @type {number}
+ */
+const API_KEY_USAGE_WRITE_MS = 60 * 1000;
+
+/**
+ * Middleware to authenticate a kiosk or service through the X-API-Key header. On success
+ * req.user describes the key: `{ apiKeyId, name, scopes }`, with no user ID or role.
+ * @async
+ * @function authenticateApiKey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const authenticateApiKey = async (req, res, next) => {
+    const key = req.headers['x-api-key'];
+    if (!key) {
+        return res.status(401).json({ message: 'API key is required' });
+    }
+
+    let apiKey;
+    try {
+        apiKey = await ApiKey.findOne({ keyHash: hashToken(String(key)) });
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ message: 'Server error' });
+    }
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return res.status(401).json({ message: 'Invalid API key' });
+    }
+
+    // Usage is recorded at most once a minute per key so busy kiosks do not write on every request
+    const now = new Date();
+    ApiKey.updateOne(
+        {
+            _id: apiKey._id,
+            $or: [{ last_used_at: null }, { last_used_at: { $lt: new Date(now.getTime() - API_KEY_USAGE_WRITE_MS) } }]
+        },
+        { last_used_at: now, last_used_ip: req.ip || null }
+    ).catch(err => console.error('Error recording API key usage:', err));
+
+    req.user = { apiKeyId: apiKey._id, name: apiKey.name, scopes: apiKey.scopes };
+    next();
+};
+
+/**
+ * Middleware for routes open to both users and API keys: requests with an X-API-Key header
+ * are authenticated as a key, all others as a user JWT
+ * @function authenticateJWTOrApiKey
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const authenticateJWTOrApiKey = (req, res, next) =>
+    req.headers['x-api-key'] ? authenticateApiKey(req, res, next) : authenticateJWT(req, res, next);
+
+/**
+ * Middleware to authenticate an anonymous guest token from POST /auth/guest. On success
+ * req.user describes the guest: `{ guestId, role: 'guest', scopes }`, with no user ID.
+ * Tokens of guests that have since registered are refused.
+ * @async
+ * @function authenticateGuest
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const authenticateGuest = async (req, res, next) => {
+    const token = req.headers['authorization'];
+
+    let decoded;
+    try {
+        decoded = await verifyToken(token);
+    } catch (err) {
+        return res.status(403).json({ message: 'Invalid token' });
+    }
+
+    if (decoded.typ !== 'guest') {
         return res.status(403).json({ message: 'Invalid token' });
     }
+
+    try {
+        const guest = await Guest.findById(decoded.guestId).select('upgradedTo');
+        if (!guest) {
+            return res.status(401).json({ message: 'Token is invalid (guest session ended)' });
+        }
+        if (guest.upgradedTo) {
+            return res.status(401).json({ message: 'Token is invalid (guest has registered, please log in)' });
+        }
+    } catch (err) {
+        console.error(err);
+        return res.status(500).json({ message: 'Server error' });
+    }
+
+    req.user = { guestId: decoded.guestId, role: 'guest', scopes: decoded.scopes || [] };
+    next();
+};
+
+/**
+ * Middleware for read-only routes open to users, API keys and guests: requests with an
+ * X-API-Key header are authenticated as a key, guest tokens as a guest and all others as a user JWT
+ * @function authenticateAnyReader
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const authenticateAnyReader = (req, res, next) => {
+    if (req.headers['x-api-key']) {
+        return authenticateApiKey(req, res, next);
+    }
+    // The signature is checked by the chosen middleware; the unverified type only picks it
+    const unverified = jwt.decode(req.headers['authorization'] || '');
+    return unverified && unverified.typ === 'guest'
+        ? authenticateGuest(req, res, next)
+        : authenticateJWT(req, res, next);
+};
+
+/**
+ * Creates middleware that only lets through users whose role grants every listed
+ * permission, or API keys whose scopes include them. Admins must additionally have signed
+ * in with two-factor authentication. Guests are limited to their token's scopes like API keys.
+ * Must run after an authentication middleware.
+ * @function authorize
+ * @param {...string} permissions - Permissions required by the route (see config/permissions)
+ * @returns {Function} Express middleware function
+ */
+const authorize = (...permissions) => (req, res, next) => {
+    const role = req.user && req.user.role;
+    const scopes = req.user && req.user.scopes;
+    const missing = permissions.filter(permission =>
+        (scopes ? !scopes.includes(permission) : !hasPermission(role, permission)));
+
+    if (missing.length > 0) {
+        return res.status(403).json({
+            message: 'You do not have permission to perform this action.',
+            missingPermissions: missing
+        });
+    }
+
+    if (role === 'admin' && !req.user.mfa) {
+        return res.status(403).json({
+            message: 'Admin accounts must enroll in two-factor authentication and sign in with it.',
+            missingPermissions: [],
+            twoFactorRequired: true
+        });
+    }
+
+    next();
 };
 
-module.exports= {authenticateJWT,blacklistedTokens}
\ No newline at end of file
+module.exports= {authenticateJWT,authenticateApiKey,authenticateJWTOrApiKey,authenticateGuest,authenticateAnyReader,authorize,refuseImpersonation,revokeToken,revokeTokenFamily}
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * @module migrations/buildingLocation
+ * @description Fills the GeoJSON `location` of buildings saved before it existed from their lat/long,
+ * then builds the 2dsphere index. Safe to run more than once.
+ * Run with `npm run migrate:building-location`.
+ */
+
+const mongoose = require("mongoose");
+const Building = require("../models/building");
+
+/**
+ * Sets `location` on every building from its lat/long, and creates the geospatial index
+ * @async
+ * @function up
+ * @returns {Promise<{matched: number, modified: number}>} Number of buildings checked and changed
+ */
+const up = async () => {
+    // Computed by the server in one pass, so large collections are not loaded into memory
+    const result = await Building.collection.updateMany(
+        { lat: { $type: "number" }, long: { $type: "number" } },
+        [{ $set: { location: { type: "Point", coordinates: ["$long", "$lat"] } } }]
+    );
+
+    // Builds the 2dsphere index in case the app has not started since the model gained it
+    await Building.createIndexes();
+
+    return { matched: result.matchedCount, modified: result.modifiedCount };
+};
+
+if (require.main === module) {
+    const connectDB = require("../config/db");
+    connectDB()
+        .then(up)
+        .then(({ matched, modified }) => {
+            console.log(`Building locations: ${modified} of ${matched} buildings updated`);
+        })
+        .catch(error => {
+            console.error("Building location migration failed:", error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = { up };
@@ -0,0 +1,86 @@
+/**
+ * @module models/ApiKey
+ * @description API key model for kiosks and internal services that call the API without a user login
+ */
+
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+/**
+ * ApiKey Schema definition. Only a hash of the key is stored; the key itself is shown once at creation.
+ * @typedef {Object} ApiKeySchema
+ * @property {String} name - Label describing who uses the key, e.g. "Curry Student Center kiosk" (required)
+ * @property {String} prefix - First characters of the key, to recognize it in listings (required)
+ * @property {String} keyHash - SHA-256 hash of the key (required, unique)
+ * @property {String[]} scopes - Permissions granted to the key (required, at least one)
+ * @property {mongoose.Schema.Types.ObjectId} created_by - Reference to the admin who created the key (required)
+ * @property {Date} created_at - Date when the key was created (default: current time)
+ * @property {Date} expiresAt - Date after which the key is refused (optional; null means no expiry)
+ * @property {Date} last_used_at - Date when the key was last used (approximate to the minute)
+ * @property {String} last_used_ip - IP address the key was last used from
+ * @property {Date} revokedAt - Date when the key was revoked (null while active)
+ * @property {mongoose.Schema.Types.ObjectId} revoked_by - Reference to the admin who revoked the key
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    minlength: [1, 'API key name cannot be empty'],
+  },
+  prefix: {
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: {
+      validator: function (value) {
+        return Array.isArray(value) && value.length > 0;
+      },
+      message: 'An API key needs at least one scope.',
+    },
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  last_used_at: {
+    type: Date,
+    default: null,
+  },
+  last_used_ip: {
+    type: String,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+});
+
+/**
+ * ApiKey model for service and kiosk access
+ * @type {mongoose.Model}
+ */
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+module.exports = ApiKey;
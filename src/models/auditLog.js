@@ -0,0 +1,106 @@
+/**
+ * @module models/AuditLog
+ * @description Append-only record of security-relevant actions. Entries can be created and
+ * read, but every attempt to change or remove one through Mongoose is refused.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema definition
+ * @typedef {Object} AuditLogSchema
+ * @property {mongoose.Schema.Types.ObjectId} actor - Reference to the user who performed the action (null for anonymous requests)
+ * @property {String} actorEmail - Email of the actor at the time of the action
+ * @property {mongoose.Schema.Types.ObjectId} impersonator - Reference to the admin acting as the actor, for impersonated requests
+ * @property {String} action - What happened, e.g. "impersonation.start" (required)
+ * @property {Object} target - What the action applied to ({ type, id })
+ * @property {String} ip - Client IP address
+ * @property {String} userAgent - Client user agent
+ * @property {Object} diff - Changed fields ({ field: { from, to } }), where relevant
+ * @property {Object} metadata - Additional details about the action
+ * @property {Date} created_at - Date when the action happened (default: current time)
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  actorEmail: {
+    type: String,
+    default: null,
+  },
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+  },
+  target: {
+    type: {
+      type: String,
+      default: null,
+    },
+    id: {
+      type: String,
+      default: null,
+    },
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Newest-first listings, optionally narrowed by actor, action or target
+auditLogSchema.index({ created_at: -1 });
+auditLogSchema.index({ actor: 1, created_at: -1 });
+auditLogSchema.index({ action: 1, created_at: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, created_at: -1 });
+
+/**
+ * Refuses a write that would change or remove existing entries
+ * @function refuseChange
+ * @param {Function} next - Mongoose middleware callback
+ * @returns {void}
+ */
+function refuseChange(next) {
+  next(new Error('Audit log entries are append-only and cannot be changed or removed.'));
+}
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  refuseChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+/**
+ * AuditLog model for the security audit trail
+ * @type {mongoose.Model}
+ */
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+module.exports = AuditLog;
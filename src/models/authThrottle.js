@@ -0,0 +1,50 @@
+/**
+ * @module models/AuthThrottle
+ * @description Failed-attempt counters and lockouts for authentication endpoints, per account or per IP
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * AuthThrottle Schema definition
+ * @typedef {Object} AuthThrottleSchema
+ * @property {String} key - Counter key, e.g. "login:account:jane@northeastern.edu" (required, unique)
+ * @property {String} scope - Whether the counter tracks an account or an IP address (required)
+ * @property {Number} failures - Failed attempts within the current window (default: 0)
+ * @property {Date} lockedUntil - Attempts are refused until this time (optional)
+ * @property {Date} expiresAt - End of the counting window; MongoDB removes the entry after this time (required)
+ */
+const authThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Throttle key is required'],
+    unique: true,
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: [true, 'Throttle scope is required'],
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+});
+
+// TTL index: counters are forgotten once their window has passed
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * AuthThrottle model for brute-force protection
+ * @type {mongoose.Model}
+ */
+const AuthThrottle = mongoose.model('AuthThrottle', authThrottleSchema);
+module.exports = AuthThrottle;
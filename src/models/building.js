@@ -13,15 +13,52 @@ const mongoose = require("mongoose");
  * @property {String} pointId - Unique identifier for the point on the map (required, unique)
  * @property {Number} lat - Latitude coordinate of the building (required)
  * @property {Number} long - Longitude coordinate of the building (required)
+ * @property {Object} location - GeoJSON point ([long, lat]) kept in sync with lat/long for geospatial queries
  * @property {Number} order - Display order for the building in listings (required)
  * @property {String[]} images - Array of image URLs for the building (at least one required)
+ * @property {Object} accessibility - Accessibility features; each flag is true, false or null when unknown
+ * @property {Boolean} accessibility.stepFreeAccess - Whether the building can be entered and crossed without steps
+ * @property {Boolean} accessibility.elevator - Whether every public floor is served by an elevator
+ * @property {Boolean} accessibility.accessibleRestroom - Whether there is a wheelchair-accessible restroom
+ * @property {Boolean} accessibility.automaticDoors - Whether the main doors open automatically or by push button
+ * @property {String} accessibility.notes - Free-text details, e.g. where to find the elevator
+ * @property {Object[]} entrances - Entrances of the building as their own points
+ * @property {String} entrances.name - Label such as "Main entrance" or "Huntington Ave ramp"
+ * @property {Number} entrances.lat - Latitude of the entrance (required)
+ * @property {Number} entrances.long - Longitude of the entrance (required)
+ * @property {Object} entrances.location - GeoJSON point ([long, lat]) kept in sync with lat/long
+ * @property {Boolean} entrances.accessible - Whether the entrance is step-free and wheelchair accessible (default: false)
+ * @property {Boolean} entrances.automaticDoor - Whether the entrance door opens automatically (default: false)
+ * @property {String} entrances.nodeId - Path network node at the entrance, for walking directions (optional)
  */
+
+/**
+ * Entrance sub-schema
+ * @type {mongoose.Schema}
+ */
+const entranceSchema = new mongoose.Schema({
+  name: { type: String, default: null, trim: true },
+  lat: { type: Number, required: true, min: [-90, "Latitude must be between -90 and 90."], max: [90, "Latitude must be between -90 and 90."] },
+  long: { type: Number, required: true, min: [-180, "Longitude must be between -180 and 180."], max: [180, "Longitude must be between -180 and 180."] },
+  location: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  accessible: { type: Boolean, default: false },
+  automaticDoor: { type: Boolean, default: false },
+  nodeId: { type: String, default: null }
+});
+
 const buildingSchema = new mongoose.Schema({
   building_name: { type: String, required: true },
   description: { type: String, required: true },
   pointId: { type: String, required: true, unique: true },
-  lat: { type: Number, required: true },
-  long: { type: Number, required: true },
+  lat: { type: Number, required: true, min: [-90, "Latitude must be between -90 and 90."], max: [90, "Latitude must be between -90 and 90."] },
+  long: { type: Number, required: true, min: [-180, "Longitude must be between -180 and 180."], max: [180, "Longitude must be between -180 and 180."] },
+  location: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined }
+  },
   order: { type: Number, required: true },
   images: {
     type: [String],
@@ -31,9 +68,35 @@ const buildingSchema = new mongoose.Schema({
       },
       message: "At least one image is required."
     }
+  },
+  accessibility: {
+    stepFreeAccess: { type: Boolean, default: null },
+    elevator: { type: Boolean, default: null },
+    accessibleRestroom: { type: Boolean, default: null },
+    automaticDoors: { type: Boolean, default: null },
+    notes: { type: String, default: null, trim: true }
+  },
+  entrances: { type: [entranceSchema], default: [] }
+});
+
+// Keep the GeoJSON points of the building and its entrances in sync with lat/long. Runs on
+// save, insertMany, bulkWrite replacements and findOneAndReplace with runValidators.
+buildingSchema.pre("validate", function (next) {
+  if (typeof this.lat === "number" && typeof this.long === "number") {
+    this.location = { type: "Point", coordinates: [this.long, this.lat] };
   }
+  for (const entrance of this.entrances || []) {
+    if (typeof entrance.lat === "number" && typeof entrance.long === "number") {
+      entrance.location = { type: "Point", coordinates: [entrance.long, entrance.lat] };
+    }
+  }
+  next();
 });
 
+// Geospatial indexes for distance queries to the building pin and to its entrances
+buildingSchema.index({ location: "2dsphere" });
+buildingSchema.index({ "entrances.location": "2dsphere" });
+
 /**
  * Building model for managing campus points of interest
  * @type {mongoose.Model}
@@ -0,0 +1,55 @@
+/**
+ * @module models/Guest
+ * @description Guest model representing an anonymous visitor browsing with a guest token. A guest
+ * that registers is linked to the new user account.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Guest Schema definition
+ * @typedef {Object} GuestSchema
+ * @property {String} userAgent - User agent of the client that started the guest session
+ * @property {Date} created_at - Date when the guest session was started (default: current time)
+ * @property {Date} last_issued_at - Date when a guest token was last issued (default: current time)
+ * @property {Date} expiresAt - Date after which the guest can no longer renew its token; MongoDB removes it after this time (required)
+ * @property {mongoose.Schema.Types.ObjectId} upgradedTo - Reference to the user the guest registered as (null while a guest)
+ * @property {Date} upgradedAt - Date when the guest registered
+ */
+const guestSchema = new mongoose.Schema({
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  last_issued_at: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  upgradedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  upgradedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// TTL index: guests that stop renewing their token are removed
+guestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Guest model for anonymous visitor sessions
+ * @type {mongoose.Model}
+ */
+const Guest = mongoose.model('Guest', guestSchema);
+module.exports = Guest;
@@ -0,0 +1,76 @@
+/**
+ * @module models/Invitation
+ * @description Invitation model for onboarding organizer and admin accounts. The invitee receives a
+ * signed, expiring token naming this record, which makes the token single-use and revocable.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Schema definition
+ * @typedef {Object} InvitationSchema
+ * @property {String} email - Address the invitation was sent to; only this address can accept it (required)
+ * @property {String} role - Role granted on acceptance: organizer or admin (required)
+ * @property {mongoose.Schema.Types.ObjectId} invited_by - Reference to the admin who sent the invitation (required)
+ * @property {Date} created_at - Date when the invitation was sent (default: current time)
+ * @property {Date} expiresAt - Date after which the invitation can no longer be accepted (required)
+ * @property {Date} acceptedAt - Date when the invitation was accepted (null while pending)
+ * @property {mongoose.Schema.Types.ObjectId} accepted_user - Reference to the account created from the invitation
+ * @property {Date} revokedAt - Date when the invitation was revoked (null unless revoked)
+ * @property {mongoose.Schema.Types.ObjectId} revoked_by - Reference to the admin who revoked the invitation
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    match: [/.+\@.+\..+/, 'Please enter a valid email'],
+  },
+  role: {
+    type: String,
+    enum: ['organizer', 'admin'],
+    required: [true, 'Role is required'],
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  accepted_user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+});
+
+// Pending invitations for an address are looked up on every new invite
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ created_at: -1 });
+
+/**
+ * Invitation model for invite-only roles
+ * @type {mongoose.Model}
+ */
+const Invitation = mongoose.model('Invitation', invitationSchema);
+module.exports = Invitation;
@@ -0,0 +1,54 @@
+/**
+ * @module models/OidcState
+ * @description Pending OpenID Connect sign-ins, kept between the authorization redirect and the callback
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * OidcState Schema definition
+ * @typedef {Object} OidcStateSchema
+ * @property {String} state - Random state parameter sent to the provider (required, unique)
+ * @property {String} provider - ID of the provider the sign-in was started with (required)
+ * @property {String} codeVerifier - PKCE code verifier (required)
+ * @property {String} nonce - Nonce the ID token must echo back (required)
+ * @property {String} deviceName - Device name supplied by the client (optional)
+ * @property {Date} expiresAt - Date after which the sign-in can no longer be completed (required)
+ */
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'Code verifier is required'],
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required'],
+  },
+  deviceName: {
+    type: String,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+});
+
+// TTL index: abandoned sign-ins are removed once they expire
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * OidcState model for pending single sign-on logins
+ * @type {mongoose.Model}
+ */
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+module.exports = OidcState;
@@ -0,0 +1,62 @@
+/**
+ * @module models/OtpCode
+ * @description One-time codes sent by email, stored hashed and keyed by purpose and subject
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * OtpCode Schema definition. There is at most one live code per purpose and subject.
+ * @typedef {Object} OtpCodeSchema
+ * @property {String} purpose - Flow the code belongs to (password_reset, email_verification or login_challenge) (required)
+ * @property {String} subject - Who the code was issued to, e.g. an email address or user ID (required)
+ * @property {String} codeHash - Salted SHA-256 hash of the code (required)
+ * @property {String} salt - Random salt mixed into the hash (required)
+ * @property {Number} attempts - Verification attempts made against this code (default: 0)
+ * @property {Date} sentAt - Date when the code was last sent; used for the resend cooldown (default: current time)
+ * @property {Date} expiresAt - Date after which the code is invalid; MongoDB removes it after this time (required)
+ */
+const otpCodeSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'login_challenge'],
+    required: [true, 'OTP purpose is required'],
+  },
+  subject: {
+    type: String,
+    required: [true, 'OTP subject is required'],
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'OTP hash is required'],
+  },
+  salt: {
+    type: String,
+    required: [true, 'OTP salt is required'],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+});
+
+// One live code per purpose and subject
+otpCodeSchema.index({ purpose: 1, subject: 1 }, { unique: true });
+
+// TTL index: MongoDB deletes codes once they have expired
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * OtpCode model for email one-time codes
+ * @type {mongoose.Model}
+ */
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+module.exports = OtpCode;
@@ -0,0 +1,66 @@
+/**
+ * @module models/PathEdge
+ * @description Path edge model: a walkable segment between two nodes of the campus walking network
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * PathEdge Schema definition
+ * @typedef {Object} PathEdgeSchema
+ * @property {String} from - nodeId of the start node (required)
+ * @property {String} to - nodeId of the end node (required)
+ * @property {Number} length - Walking length in meters (required)
+ * @property {String} surface - Surface type: paved, brick, gravel, grass or indoor (default: paved)
+ * @property {Boolean} stairs - Whether the segment has steps (default: false)
+ * @property {Boolean} indoor - Whether the segment runs inside a building (default: false)
+ * @property {Boolean} oneway - Whether the segment can only be walked from `from` to `to` (default: false)
+ * @property {String} name - Path or street name used in directions, e.g. "Centennial Common" (optional)
+ */
+const pathEdgeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: [true, 'Start node is required'],
+  },
+  to: {
+    type: String,
+    required: [true, 'End node is required'],
+  },
+  length: {
+    type: Number,
+    required: [true, 'Length is required'],
+    min: [0, 'Length cannot be negative.'],
+  },
+  surface: {
+    type: String,
+    enum: ['paved', 'brick', 'gravel', 'grass', 'indoor'],
+    default: 'paved',
+  },
+  stairs: {
+    type: Boolean,
+    default: false,
+  },
+  indoor: {
+    type: Boolean,
+    default: false,
+  },
+  oneway: {
+    type: Boolean,
+    default: false,
+  },
+  name: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+});
+
+pathEdgeSchema.index({ from: 1 });
+pathEdgeSchema.index({ to: 1 });
+
+/**
+ * PathEdge model for the campus walking network
+ * @type {mongoose.Model}
+ */
+const PathEdge = mongoose.model('PathEdge', pathEdgeSchema);
+module.exports = PathEdge;
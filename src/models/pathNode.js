@@ -0,0 +1,68 @@
+/**
+ * @module models/PathNode
+ * @description Path node model: a junction, bend or building entrance in the campus walking network
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * PathNode Schema definition
+ * @typedef {Object} PathNodeSchema
+ * @property {String} nodeId - Identifier used by edges and imports (required, unique)
+ * @property {Number} lat - Latitude of the node (required)
+ * @property {Number} long - Longitude of the node (required)
+ * @property {Object} location - GeoJSON point ([long, lat]) kept in sync with lat/long
+ * @property {String} pointId - Building pointId when the node is an entrance of that building (optional)
+ * @property {String} name - Label used in directions, e.g. "Snell Library main entrance" (optional)
+ */
+const pathNodeSchema = new mongoose.Schema({
+  nodeId: {
+    type: String,
+    required: [true, 'Node ID is required'],
+    unique: true,
+    trim: true,
+  },
+  lat: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90.'],
+    max: [90, 'Latitude must be between -90 and 90.'],
+  },
+  long: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180.'],
+    max: [180, 'Longitude must be between -180 and 180.'],
+  },
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined },
+  },
+  pointId: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  name: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+});
+
+// Keep the GeoJSON point in sync with lat/long, as for buildings
+pathNodeSchema.pre('validate', function (next) {
+  if (typeof this.lat === 'number' && typeof this.long === 'number') {
+    this.location = { type: 'Point', coordinates: [this.long, this.lat] };
+  }
+  next();
+});
+
+pathNodeSchema.index({ location: '2dsphere' });
+
+/**
+ * PathNode model for the campus walking network
+ * @type {mongoose.Model}
+ */
+const PathNode = mongoose.model('PathNode', pathNodeSchema);
+module.exports = PathNode;
@@ -0,0 +1,34 @@
+/**
+ * @module models/RevokedToken
+ * @description Revoked JWT identifiers, kept only until the token would have expired anyway
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * RevokedToken Schema definition
+ * @typedef {Object} RevokedTokenSchema
+ * @property {String} jti - JWT ID of the revoked token (required, unique)
+ * @property {Date} expiresAt - Expiry of the original token; MongoDB removes the entry after this time (required)
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+});
+
+// TTL index: MongoDB deletes the document once expiresAt has passed
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * RevokedToken model for the shared token revocation list
+ * @type {mongoose.Model}
+ */
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+module.exports = RevokedToken;
@@ -0,0 +1,70 @@
+/**
+ * @module models/Session
+ * @description Session model representing one signed-in device of a user
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema definition. The session ID doubles as the refresh token family ID.
+ * @typedef {Object} SessionSchema
+ * @property {mongoose.Schema.Types.ObjectId} user - Reference to the signed-in user (required)
+ * @property {String} deviceName - Device name supplied by the client (optional)
+ * @property {String} userAgent - User agent of the client that started the session
+ * @property {String} ip - IP address the session was last used from
+ * @property {String} refreshTokenHash - SHA-256 hash of the session's current refresh token (required)
+ * @property {Boolean} mfa - Whether the session was established with two-factor authentication (default: false)
+ * @property {Date} created_at - Date when the session was started (default: current time)
+ * @property {Date} last_used_at - Date when the session last refreshed its tokens (default: current time)
+ * @property {Date} expiresAt - Date after which the session is removed (required)
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  deviceName: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+  },
+  mfa: {
+    type: Boolean,
+    default: false,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+});
+
+// TTL index: sessions that have not refreshed within the refresh token lifetime are removed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Session model for managing signed-in devices
+ * @type {mongoose.Model}
+ */
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -0,0 +1,66 @@
+/**
+ * @module models/SigningKey
+ * @description Asymmetric key pairs used to sign and verify the JWTs issued by this service
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * SigningKey Schema definition
+ * @typedef {Object} SigningKeySchema
+ * @property {String} kid - Key ID placed in the `kid` header of every token signed with the key (required, unique)
+ * @property {String} alg - JWT signing algorithm, RS256 or ES256 (required)
+ * @property {String} privateKey - PKCS#8 PEM private key (required)
+ * @property {Object} publicJwk - Public key in JWK format, as published in the JWKS (required)
+ * @property {String} status - "active" keys sign new tokens; "retired" keys only verify existing ones (default: active)
+ * @property {Date} created_at - Date when the key was generated (default: current time)
+ * @property {Date} retired_at - Date when the key stopped signing new tokens (optional)
+ * @property {Date} expiresAt - Date after which no token signed with the key can still be valid; the key is then removed (optional)
+ */
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: [true, 'Key ID is required'],
+    unique: true,
+  },
+  alg: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: [true, 'Algorithm is required'],
+  },
+  privateKey: {
+    type: String,
+    required: [true, 'Private key is required'],
+  },
+  publicJwk: {
+    type: Object,
+    required: [true, 'Public key is required'],
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active',
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  retired_at: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// TTL index: retired keys are removed once every token they signed has expired
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * SigningKey model for the JWT key set
+ * @type {mongoose.Model}
+ */
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+module.exports = SigningKey;
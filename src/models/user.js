@@ -11,9 +11,30 @@ const mongoose = require('mongoose');
  * @property {String} firstName - User's first name (required, non-empty)
  * @property {String} lastName - User's last name (required, non-empty)
  * @property {String} email - User's unique email address (required, validated format)
- * @property {String} password - User's hashed password (required, min 6 chars, contains letter, number, and special char)
- * @property {String} role - User role (student, visitor, or admin)
- * @property {String} refreshToken - JWT refresh token for authentication
+ * @property {String} password - User's hashed password (required unless the account signs in only through SSO; min 6 chars, contains letter, number, and special char)
+ * @property {String} role - User role (student, visitor, organizer, or admin)
+ * @property {Object} preferences - User preferences (language, event reminders, distance unit)
+ * @property {String} pendingEmail - New email address awaiting confirmation
+ * @property {String} pendingEmailToken - SHA-256 hash of the email change confirmation token
+ * @property {Date} pendingEmailExpires - Expiry time of the email change confirmation token
+ * @property {Boolean} emailVerified - Whether the user has confirmed ownership of their email address
+ * @property {String} emailVerificationToken - SHA-256 hash of the pending email verification token
+ * @property {Date} emailVerificationExpires - Expiry time of the email verification token
+ * @property {Date} emailVerificationSentAt - Time the last verification email was sent, used to throttle resends
+ * @property {String} resetPasswordToken - SHA-256 hash of the single-use password reset token
+ * @property {Date} resetPasswordExpires - Expiry time of the password reset token
+ * @property {Boolean} twoFactorEnabled - Whether TOTP two-factor authentication is required at login
+ * @property {String} twoFactorSecret - Base32 TOTP secret of the enrolled authenticator
+ * @property {String} twoFactorPendingSecret - TOTP secret awaiting confirmation during enrollment
+ * @property {Number} twoFactorLastUsedStep - Last accepted TOTP time step, to refuse replayed codes
+ * @property {String[]} twoFactorBackupCodes - SHA-256 hashes of the unused recovery codes
+ * @property {Boolean} disabled - Whether an admin has disabled the account (default: false)
+ * @property {Date} disabledAt - Date when the account was disabled
+ * @property {Object[]} oidcIdentities - Single sign-on identities linked to the account ({ provider, subject })
+ * @property {Date} passwordChangedAt - Time of the last password change; older access tokens are rejected
+ * @property {Date} deletionRequestedAt - Date when the user asked for their account to be deleted
+ * @property {Date} deletionScheduledFor - Date after which the account is anonymized, unless the request is cancelled
+ * @property {Date} deletedAt - Date when the account was anonymized; the document remains so references stay valid
  */
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -46,7 +67,10 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [
+      function() { return this.oidcIdentities.length === 0 && !this.deletedAt; },
+      'Password is required'
+    ],
     minlength: [6, 'Password must be at least 6 characters'],
     validate: {
       validator: function(value) {
@@ -62,15 +86,122 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'visitor', 'admin'],
+    enum: ['student', 'visitor', 'organizer', 'admin'],
     required: [true, 'User type is required']
   },
-  refreshToken: {
+  preferences: {
+    language: {
+      type: String,
+      match: [/^[a-z]{2}(-[A-Z]{2})?$/, 'Language must be a language code such as "en" or "en-US"'],
+      default: 'en'
+    },
+    eventReminders: {
+      type: Boolean,
+      default: true
+    },
+    distanceUnit: {
+      type: String,
+      enum: ['metric', 'imperial'],
+      default: 'imperial'
+    }
+  },
+  pendingEmail: {
+    type: String,
+    default: null,
+    match: [/.+\@.+\..+/, 'Please enter a valid email']
+  },
+  pendingEmailToken: {
+    type: String,
+    default: null
+  },
+  pendingEmailExpires: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
     type: String,
     default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  resetPasswordToken: {
+    type: String,
+    default: null
+  },
+  resetPasswordExpires: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    default: []
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  oidcIdentities: {
+    type: [{
+      _id: false,
+      provider: { type: String, required: true },
+      subject: { type: String, required: true }
+    }],
+    default: []
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
   }
 });
 
+// Look up single sign-on identities by provider and subject
+userSchema.index({ 'oidcIdentities.provider': 1, 'oidcIdentities.subject': 1 });
+
+// Find accounts whose deletion grace period has ended
+userSchema.index({ deletionScheduledFor: 1 });
+
 /**
  * User model for managing user accounts
  * @type {mongoose.Model}
@@ -0,0 +1,184 @@
+/**
+ * @module routes/adminRoutes
+ * @description Routes for admin management of user accounts, invitations and API keys, and audit log queries
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  getUser,
+  changeUserRole,
+  disableUser,
+  enableUser,
+  forceLogoutUser,
+  impersonateUser
+} = require('../controllers/adminController');
+const { createInvitation, listInvitations, revokeInvitation } = require('../controllers/invitationController');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../controllers/apiKeyController');
+const { listAuditLogs, exportAuditLogsCsv } = require('../controllers/auditController');
+const { authenticateJWT, authorize } = require('../middleware/authMiddlewares');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * GET /admin/users - List users with pagination, search and filters
+ * @name ListUsers
+ * @route {GET} /admin/users
+ * @authentication This route requires JWT authentication and the users:read permission
+ * @queryparam {number} [page=1] - Page number, starting at 1
+ * @queryparam {number} [limit=20] - Page size (at most 100)
+ * @queryparam {string} [search] - Text matched against first name, last name and email
+ * @queryparam {string} [role] - Only users with this role
+ * @queryparam {string} [disabled] - "true" or "false" to filter by account status
+ */
+router.get('/users', authenticateJWT, authorize(PERMISSIONS.USERS_READ), listUsers);
+
+/**
+ * GET /admin/users/:id - Get a user by ID
+ * @name GetUser
+ * @route {GET} /admin/users/:id
+ * @authentication This route requires JWT authentication and the users:read permission
+ * @routeparam {string} id - User ID to retrieve
+ */
+router.get('/users/:id', authenticateJWT, authorize(PERMISSIONS.USERS_READ), getUser);
+
+/**
+ * PATCH /admin/users/:id/role - Change a user's role
+ * @name ChangeUserRole
+ * @route {PATCH} /admin/users/:id/role
+ * @authentication This route requires JWT authentication and the users:manage permission
+ * @routeparam {string} id - User ID to update
+ * @bodyparam {string} role - New role (student, visitor, organizer or admin)
+ */
+router.patch('/users/:id/role', authenticateJWT, authorize(PERMISSIONS.USERS_MANAGE), changeUserRole);
+
+/**
+ * POST /admin/users/:id/disable - Disable a user account and log it out everywhere
+ * @name DisableUser
+ * @route {POST} /admin/users/:id/disable
+ * @authentication This route requires JWT authentication and the users:manage permission
+ * @routeparam {string} id - User ID to disable
+ */
+router.post('/users/:id/disable', authenticateJWT, authorize(PERMISSIONS.USERS_MANAGE), disableUser);
+
+/**
+ * POST /admin/users/:id/enable - Re-enable a disabled user account
+ * @name EnableUser
+ * @route {POST} /admin/users/:id/enable
+ * @authentication This route requires JWT authentication and the users:manage permission
+ * @routeparam {string} id - User ID to enable
+ */
+router.post('/users/:id/enable', authenticateJWT, authorize(PERMISSIONS.USERS_MANAGE), enableUser);
+
+/**
+ * POST /admin/users/:id/logout - Log a user out of every device
+ * @name ForceLogoutUser
+ * @route {POST} /admin/users/:id/logout
+ * @authentication This route requires JWT authentication and the users:manage permission
+ * @routeparam {string} id - User ID to log out
+ */
+router.post('/users/:id/logout', authenticateJWT, authorize(PERMISSIONS.USERS_MANAGE), forceLogoutUser);
+
+/**
+ * POST /admin/users/:id/impersonate - Get a short-lived token acting as a user, for support
+ * @name ImpersonateUser
+ * @route {POST} /admin/users/:id/impersonate
+ * @authentication This route requires JWT authentication and the users:impersonate permission
+ * @routeparam {string} id - User ID to impersonate
+ * @bodyparam {string} reason - Why the admin needs to act as the user
+ * @bodyparam {boolean} [allowWrites=false] - Whether the token may change data
+ */
+router.post('/users/:id/impersonate', authenticateJWT, authorize(PERMISSIONS.USERS_IMPERSONATE), impersonateUser);
+
+/**
+ * POST /admin/invitations - Invite someone to register as an organizer or admin
+ * @name CreateInvitation
+ * @route {POST} /admin/invitations
+ * @authentication This route requires JWT authentication and the users:invite permission
+ * @bodyparam {string} email - Address to invite
+ * @bodyparam {string} role - Role to grant: organizer or admin
+ * @bodyparam {number} [expiresInDays=7] - Days until the invitation expires (at most 7)
+ */
+router.post('/invitations', authenticateJWT, authorize(PERMISSIONS.USERS_INVITE), createInvitation);
+
+/**
+ * GET /admin/invitations - List invitations
+ * @name ListInvitations
+ * @route {GET} /admin/invitations
+ * @authentication This route requires JWT authentication and the users:invite permission
+ * @queryparam {string} [status] - pending, accepted, revoked or expired
+ * @queryparam {string} [email] - Only invitations sent to this address
+ */
+router.get('/invitations', authenticateJWT, authorize(PERMISSIONS.USERS_INVITE), listInvitations);
+
+/**
+ * DELETE /admin/invitations/:id - Revoke a pending invitation
+ * @name RevokeInvitation
+ * @route {DELETE} /admin/invitations/:id
+ * @authentication This route requires JWT authentication and the users:invite permission
+ * @routeparam {string} id - Invitation ID to revoke
+ */
+router.delete('/invitations/:id', authenticateJWT, authorize(PERMISSIONS.USERS_INVITE), revokeInvitation);
+
+/**
+ * POST /admin/api_keys - Create an API key for a kiosk or service
+ * @name CreateApiKey
+ * @route {POST} /admin/api_keys
+ * @authentication This route requires JWT authentication and the api_keys:manage permission
+ * @bodyparam {string} name - Label describing who uses the key
+ * @bodyparam {string[]} scopes - Permissions to grant: buildings:read, events:read
+ * @bodyparam {string} [expiresAt] - ISO date after which the key stops working
+ */
+router.post('/api_keys', authenticateJWT, authorize(PERMISSIONS.API_KEYS_MANAGE), createApiKey);
+
+/**
+ * GET /admin/api_keys - List API keys
+ * @name ListApiKeys
+ * @route {GET} /admin/api_keys
+ * @authentication This route requires JWT authentication and the api_keys:manage permission
+ * @queryparam {string} [includeRevoked] - "true" to include revoked keys
+ */
+router.get('/api_keys', authenticateJWT, authorize(PERMISSIONS.API_KEYS_MANAGE), listApiKeys);
+
+/**
+ * DELETE /admin/api_keys/:id - Revoke an API key
+ * @name RevokeApiKey
+ * @route {DELETE} /admin/api_keys/:id
+ * @authentication This route requires JWT authentication and the api_keys:manage permission
+ * @routeparam {string} id - API key ID to revoke
+ */
+router.delete('/api_keys/:id', authenticateJWT, authorize(PERMISSIONS.API_KEYS_MANAGE), revokeApiKey);
+
+/**
+ * GET /admin/audit_logs - List audit log entries, newest first
+ * @name ListAuditLogs
+ * @route {GET} /admin/audit_logs
+ * @authentication This route requires JWT authentication and the audit:read permission
+ * @queryparam {number} [page=1] - Page number, starting at 1
+ * @queryparam {number} [limit=50] - Page size (at most 100)
+ * @queryparam {string} [actor] - Only entries by this user ID
+ * @queryparam {string} [action] - Exact action, or a group such as "auth.*"
+ * @queryparam {string} [targetType] - Only entries about this kind of object, e.g. "User"
+ * @queryparam {string} [targetId] - Only entries about this object ID
+ * @queryparam {string} [ip] - Only entries from this IP address
+ * @queryparam {string} [from] - ISO date of the oldest entry to include
+ * @queryparam {string} [to] - ISO date of the newest entry to include
+ */
+router.get('/audit_logs', authenticateJWT, authorize(PERMISSIONS.AUDIT_READ), listAuditLogs);
+
+/**
+ * GET /admin/audit_logs/export - Download matching audit log entries as CSV
+ * @name ExportAuditLogs
+ * @route {GET} /admin/audit_logs/export
+ * @authentication This route requires JWT authentication and the audit:read permission
+ * @queryparam {string} [actor] - Only entries by this user ID
+ * @queryparam {string} [action] - Exact action, or a group such as "auth.*"
+ * @queryparam {string} [targetType] - Only entries about this kind of object
+ * @queryparam {string} [targetId] - Only entries about this object ID
+ * @queryparam {string} [ip] - Only entries from this IP address
+ * @queryparam {string} [from] - ISO date of the oldest entry to include
+ * @queryparam {string} [to] - ISO date of the newest entry to include
+ */
+router.get('/audit_logs/export', authenticateJWT, authorize(PERMISSIONS.AUDIT_READ), exportAuditLogsCsv);
+
+module.exports = router;
@@ -7,6 +7,9 @@ const express = require("express");
 const router = express.Router();
 const { 
     registerUser, 
+    registerWithInvitation,
+    startGuestSession,
+    getInvitation,
     loginUser, 
     logoutUser, 
     forgotPassword, 
@@ -14,9 +17,31 @@ const {
     resendOtp, 
     resetPassword,
     refreshToken, 
-    getAllUsers 
+    getSessions,
+    deleteSession,
+    logoutAllSessions,
+    verifyEmail,
+    resendVerificationEmail
 } = require("../controllers/authController");
-const { authenticateJWT } =require( "../middleware/authMiddlewares")
+const {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    verifyTwoFactorLogin
+} = require("../controllers/twoFactorController");
+const { getOidcProviders, startOidcLogin, oidcCallback } = require("../controllers/oidcController");
+const {
+    getProfile,
+    updateProfile,
+    changePassword,
+    changeEmail,
+    confirmEmailChange,
+    exportMyData,
+    requestAccountDeletion,
+    cancelAccountDeletion
+} = require("../controllers/profileController");
+const { authenticateJWT, refuseImpersonation } = require("../middleware/authMiddlewares");
 
 /**
  * POST /auth/register - Register a new user
@@ -26,18 +51,139 @@ const { authenticateJWT } =require( "../middleware/authMiddlewares")
  * @bodyparam {string} lastName - User's last name
  * @bodyparam {string} email - User's email address
  * @bodyparam {string} password - User's password
+ * @bodyparam {string} [deviceName] - Name of the device signing in
+ * @bodyparam {string} [guestToken] - Guest token whose saved data should move to the new account
  */
 router.post("/register", registerUser);
 
+/**
+ * POST /auth/guest - Start a read-only guest session, or renew one, without registering
+ * @name StartGuestSession
+ * @route {POST} /auth/guest
+ * @bodyparam {string} [guestToken] - Current (possibly expired) guest token to renew
+ */
+router.post("/guest", startGuestSession);
+
+/**
+ * GET /auth/invitation - Show the email and role of an invitation link
+ * @name GetInvitation
+ * @route {GET} /auth/invitation
+ * @queryparam {string} token - Signed invitation token from the invitation email
+ */
+router.get("/invitation", getInvitation);
+
+/**
+ * POST /auth/register/invite - Register the account an invitation was sent for, with the invited role
+ * @name RegisterWithInvitation
+ * @route {POST} /auth/register/invite
+ * @bodyparam {string} token - Signed invitation token from the invitation email
+ * @bodyparam {string} firstName - User's first name
+ * @bodyparam {string} lastName - User's last name
+ * @bodyparam {string} password - User's password
+ * @bodyparam {string} [deviceName] - Name of the device signing in
+ */
+router.post("/register/invite", registerWithInvitation);
+
+/**
+ * GET /auth/verify_email - Confirm an email address from the verification link
+ * @name VerifyEmail
+ * @route {GET} /auth/verify_email
+ * @queryparam {string} email - Email address being verified
+ * @queryparam {string} token - Verification token from the email
+ */
+router.get("/verify_email", verifyEmail);
+
+/**
+ * POST /auth/resend_verification - Resend the email verification link (throttled)
+ * @name ResendVerification
+ * @route {POST} /auth/resend_verification
+ * @bodyparam {string} email - User's email address
+ */
+router.post("/resend_verification", resendVerificationEmail);
+
 /**
  * POST /auth/login - Authenticate and login a user
  * @name LoginUser
  * @route {POST} /auth/login
  * @bodyparam {string} email - User's email address
  * @bodyparam {string} password - User's password
+ * @bodyparam {string} [deviceName] - Name of the device signing in
  */
 router.post("/login", loginUser);
 
+/**
+ * GET /auth/oidc/providers - List the configured single sign-on providers
+ * @name GetOidcProviders
+ * @route {GET} /auth/oidc/providers
+ */
+router.get("/oidc/providers", getOidcProviders);
+
+/**
+ * GET /auth/oidc/:provider/login - Start a single sign-on login (authorization code + PKCE)
+ * @name StartOidcLogin
+ * @route {GET} /auth/oidc/:provider/login
+ * @routeparam {string} provider - Provider ID
+ * @queryparam {string} [deviceName] - Name of the device signing in
+ * @queryparam {string} [format] - "json" to receive the authorization URL instead of a redirect
+ */
+router.get("/oidc/:provider/login", startOidcLogin);
+
+/**
+ * GET /auth/oidc/:provider/callback - Complete a single sign-on login and receive tokens
+ * @name OidcCallback
+ * @route {GET} /auth/oidc/:provider/callback
+ * @routeparam {string} provider - Provider ID
+ * @queryparam {string} code - Authorization code
+ * @queryparam {string} state - State sent with the authorization request
+ */
+router.get("/oidc/:provider/callback", oidcCallback);
+
+/**
+ * POST /auth/2fa/verify - Complete a two-factor login with a TOTP or recovery code
+ * @name VerifyTwoFactorLogin
+ * @route {POST} /auth/2fa/verify
+ * @bodyparam {string} challengeToken - Challenge token returned by /auth/login
+ * @bodyparam {string} [code] - 6-digit TOTP code
+ * @bodyparam {string} [backupCode] - Recovery code, instead of a TOTP code
+ */
+router.post("/2fa/verify", verifyTwoFactorLogin);
+
+/**
+ * POST /auth/2fa/setup - Start two-factor enrollment and get the secret and otpauth URI
+ * @name SetupTwoFactor
+ * @route {POST} /auth/2fa/setup
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ */
+router.post("/2fa/setup", authenticateJWT, refuseImpersonation, setupTwoFactor);
+
+/**
+ * POST /auth/2fa/enable - Confirm two-factor enrollment and get recovery codes
+ * @name EnableTwoFactor
+ * @route {POST} /auth/2fa/enable
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ * @bodyparam {string} code - 6-digit TOTP code
+ */
+router.post("/2fa/enable", authenticateJWT, refuseImpersonation, enableTwoFactor);
+
+/**
+ * POST /auth/2fa/disable - Turn off two-factor authentication (not allowed for admins)
+ * @name DisableTwoFactor
+ * @route {POST} /auth/2fa/disable
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ * @bodyparam {string} [code] - 6-digit TOTP code
+ * @bodyparam {string} [backupCode] - Recovery code, instead of a TOTP code
+ */
+router.post("/2fa/disable", authenticateJWT, refuseImpersonation, disableTwoFactor);
+
+/**
+ * POST /auth/2fa/backup_codes - Replace the recovery codes with a new set
+ * @name RegenerateBackupCodes
+ * @route {POST} /auth/2fa/backup_codes
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ * @bodyparam {string} code - 6-digit TOTP code
+ */
+router.post("/2fa/backup_codes", authenticateJWT, refuseImpersonation, regenerateBackupCodes);
+
 /**
  * POST /auth/logout - Logout a user and invalidate tokens
  * @name LogoutUser
@@ -55,7 +201,7 @@ router.post("/logout", logoutUser);
 router.post("/forgot_password", forgotPassword);
 
 /**
- * POST /auth/verify_otp - Verify password reset OTP
+ * POST /auth/verify_otp - Verify password reset OTP and receive a single-use reset token
  * @name VerifyOTP
  * @route {POST} /auth/verify_otp
  * @bodyparam {string} email - User's email address
@@ -76,12 +222,13 @@ router.post("/resend_otp", resendOtp);
  * @name ResetPassword
  * @route {POST} /auth/reset_password
  * @bodyparam {string} email - User's email address
+ * @bodyparam {string} resetToken - Single-use reset token returned by /auth/verify_otp
  * @bodyparam {string} newPassword - New password to set
  */
 router.post("/reset_password", resetPassword);
 
 /**
- * POST /auth/refreshtoken - Get a new access token using refresh token
+ * POST /auth/refreshtoken - Rotate a refresh token and get a new access/refresh token pair
  * @name RefreshToken
  * @route {POST} /auth/refreshtoken
  * @bodyparam {string} refreshToken - Valid refresh token
@@ -90,11 +237,101 @@ router.post("/reset_password", resetPassword);
 router.post("/refreshtoken", refreshToken);
 
 /**
- * GET /auth/users - Get all users (for admin purposes)
- * @name GetAllUsers
- * @route {GET} /auth/users
+ * GET /auth/sessions - List the signed-in devices of the current user
+ * @name GetSessions
+ * @route {GET} /auth/sessions
+ * @authentication This route requires JWT authentication
+ */
+router.get("/sessions", authenticateJWT, getSessions);
+
+/**
+ * DELETE /auth/sessions/:id - Log out one device of the current user
+ * @name DeleteSession
+ * @route {DELETE} /auth/sessions/:id
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ * @routeparam {string} id - Session ID to end
+ */
+router.delete("/sessions/:id", authenticateJWT, refuseImpersonation, deleteSession);
+
+/**
+ * POST /auth/logout_all - Log out every device of the current user
+ * @name LogoutAllSessions
+ * @route {POST} /auth/logout_all
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ */
+router.post("/logout_all", authenticateJWT, refuseImpersonation, logoutAllSessions);
+
+/**
+ * GET /auth/me - Get the current user's profile
+ * @name GetProfile
+ * @route {GET} /auth/me
+ * @authentication This route requires JWT authentication
+ */
+router.get("/me", authenticateJWT, getProfile);
+
+/**
+ * PATCH /auth/me - Update the current user's name and preferences
+ * @name UpdateProfile
+ * @route {PATCH} /auth/me
+ * @authentication This route requires JWT authentication
+ * @bodyparam {string} [firstName] - New first name
+ * @bodyparam {string} [lastName] - New last name
+ * @bodyparam {Object} [preferences] - Preferences to change: language, eventReminders, distanceUnit
+ */
+router.patch("/me", authenticateJWT, updateProfile);
+
+/**
+ * DELETE /auth/me - Schedule deletion of the current user's account after a grace period
+ * @name RequestAccountDeletion
+ * @route {DELETE} /auth/me
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ * @bodyparam {string} currentPassword - Current password
+ */
+router.delete("/me", authenticateJWT, refuseImpersonation, requestAccountDeletion);
+
+/**
+ * POST /auth/me/cancel_deletion - Cancel a scheduled deletion of the current user's account
+ * @name CancelAccountDeletion
+ * @route {POST} /auth/me/cancel_deletion
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ */
+router.post("/me/cancel_deletion", authenticateJWT, refuseImpersonation, cancelAccountDeletion);
+
+/**
+ * GET /auth/me/export - Download a JSON archive of the current user's personal data
+ * @name ExportMyData
+ * @route {GET} /auth/me/export
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ */
+router.get("/me/export", authenticateJWT, refuseImpersonation, exportMyData);
+
+/**
+ * POST /auth/change_password - Change the current user's password and log out other devices
+ * @name ChangePassword
+ * @route {POST} /auth/change_password
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ * @bodyparam {string} currentPassword - Current password
+ * @bodyparam {string} newPassword - New password to set
+ */
+router.post("/change_password", authenticateJWT, refuseImpersonation, changePassword);
+
+/**
+ * POST /auth/change_email - Request an email change; a confirmation link is sent to the new address
+ * @name ChangeEmail
+ * @route {POST} /auth/change_email
+ * @authentication This route requires JWT authentication and is not available while impersonating
+ * @bodyparam {string} newEmail - New email address
+ * @bodyparam {string} currentPassword - Current password
+ */
+router.post("/change_email", authenticateJWT, refuseImpersonation, changeEmail);
+
+/**
+ * GET /auth/confirm_email_change - Confirm an email change from the emailed link
+ * @name ConfirmEmailChange
+ * @route {GET} /auth/confirm_email_change
+ * @queryparam {string} token - Confirmation token from the email
  */
-router.get("/users", getAllUsers);
+router.get("/confirm_email_change", confirmEmailChange);
 
 /**
  * GET /auth/protected - Example protected route requiring authentication
@@ -5,26 +5,103 @@
 
 const express = require('express');
 const router = express.Router();
-const { createBuildings, getPOIs, getBuildingById } = require('../controllers/buildingController');
-const { authenticateJWT } = require('../middleware/authMiddlewares');
+const {
+  createBuildings,
+  getPOIs,
+  getBuildingById,
+  getNearbyBuildings,
+  updateBuilding,
+  replaceBuildingByPointId,
+  deleteBuilding
+} = require('../controllers/buildingController');
+const { authenticateJWT, authenticateAnyReader, authorize } = require('../middleware/authMiddlewares');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * POST /building - Create new building entries (admin only)
  * @name CreateBuildings
  * @route {POST} /building
- * @authentication This route requires JWT authentication
+ * @authentication This route requires JWT authentication and the buildings:write permission
  * @bodyparam {Array<Object>} buildings - Array of building objects to create
+ * @bodyparam {boolean} [upsert=false] - Replace existing buildings with the same pointId instead of failing
  */
-router.post('/', authenticateJWT, createBuildings);
+router.post('/', authenticateJWT, authorize(PERMISSIONS.BUILDINGS_WRITE), createBuildings);
 
 /**
- * GET /building/pois - Get all points of interest
+ * GET /building/pois - Get all points of interest, or those in a map viewport with clustering
  * @name GetPOIs
  * @route {GET} /building/pois
- * @authentication This route requires JWT authentication
+ * @authentication This route requires JWT, API key or guest token authentication and the buildings:read permission
+ * @queryparam {string} [bbox] - Viewport as "minLng,minLat,maxLng,maxLat"; only POIs inside it are returned
+ * @queryparam {number} [zoom] - Map zoom level (0-22); below 17, overlapping POIs are grouped into clusters
  */
-router.get('/pois', getPOIs);
+router.get('/pois', authenticateAnyReader, authorize(PERMISSIONS.BUILDINGS_READ), getPOIs);
 
-router.get('/:id', authenticateJWT, getBuildingById);
+/**
+ * GET /building/nearby - Get buildings near a point, nearest first, with distances in meters
+ * @name GetNearbyBuildings
+ * @route {GET} /building/nearby
+ * @authentication This route requires JWT, API key or guest token authentication and the buildings:read permission
+ * @queryparam {number} lat - Latitude of the point
+ * @queryparam {number} lng - Longitude of the point
+ * @queryparam {number} [radius=1000] - Search radius in meters (at most 20000)
+ * @queryparam {number} [limit=20] - Maximum number of buildings (at most 100)
+ * @queryparam {string} [accessible] - "true" to only return buildings with an accessible entrance, measuring to that entrance
+ */
+router.get('/nearby', authenticateAnyReader, authorize(PERMISSIONS.BUILDINGS_READ), getNearbyBuildings);
+
+/**
+ * PUT /building/by-point/:pointId - Create or replace the building with a map point ID (admin only)
+ * @name ReplaceBuildingByPointId
+ * @route {PUT} /building/by-point/:pointId
+ * @authentication This route requires JWT authentication and the buildings:write permission
+ * @routeparam {string} pointId - Map point ID of the building
+ * @bodyparam {string} building_name - Name of the building
+ * @bodyparam {string} description - Description of the building
+ * @bodyparam {number} lat - Latitude
+ * @bodyparam {number} long - Longitude
+ * @bodyparam {number} order - Display order
+ * @bodyparam {Array<string>} images - Image URLs (at least one)
+ * @bodyparam {Object} [accessibility] - stepFreeAccess, elevator, accessibleRestroom, automaticDoors (true, false or null) and notes
+ * @bodyparam {Array<Object>} [entrances] - Entrances: lat, long, optional name, accessible, automaticDoor and path network nodeId
+ */
+router.put('/by-point/:pointId', authenticateJWT, authorize(PERMISSIONS.BUILDINGS_WRITE), replaceBuildingByPointId);
+
+/**
+ * GET /building/:id - Get building details by ID
+ * @name GetBuildingById
+ * @route {GET} /building/:id
+ * @authentication This route requires JWT, API key or guest token authentication and the buildings:read permission
+ * @routeparam {string} id - Building ID to retrieve
+ */
+router.get('/:id', authenticateAnyReader, authorize(PERMISSIONS.BUILDINGS_READ), getBuildingById);
+
+/**
+ * PATCH /building/:id - Update some fields of a building (admin only)
+ * @name UpdateBuilding
+ * @route {PATCH} /building/:id
+ * @authentication This route requires JWT authentication and the buildings:write permission
+ * @routeparam {string} id - Building ID to update
+ * @bodyparam {string} [building_name] - Name of the building
+ * @bodyparam {string} [description] - Description of the building
+ * @bodyparam {string} [pointId] - Map point ID
+ * @bodyparam {number} [lat] - Latitude
+ * @bodyparam {number} [long] - Longitude
+ * @bodyparam {number} [order] - Display order
+ * @bodyparam {Array<string>} [images] - Image URLs (at least one)
+ * @bodyparam {Object} [accessibility] - Accessibility flags to change: stepFreeAccess, elevator, accessibleRestroom, automaticDoors, notes
+ * @bodyparam {Array<Object>} [entrances] - Replacement list of entrances: lat, long, optional name, accessible, automaticDoor and nodeId
+ */
+router.patch('/:id', authenticateJWT, authorize(PERMISSIONS.BUILDINGS_WRITE), updateBuilding);
+
+/**
+ * DELETE /building/:id - Delete a building (admin only)
+ * @name DeleteBuilding
+ * @route {DELETE} /building/:id
+ * @authentication This route requires JWT authentication and the buildings:write permission
+ * @routeparam {string} id - Building ID to delete
+ * @queryparam {string} [events] - Required when events use the building: "detach" clears their building_id, "delete" deletes them
+ */
+router.delete('/:id', authenticateJWT, authorize(PERMISSIONS.BUILDINGS_WRITE), deleteBuilding);
 
 module.exports = router;
\ No newline at end of file
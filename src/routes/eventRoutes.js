@@ -6,13 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const { createEvent, deleteEvent, getUpcomingEvents, getEventById, updateEvent } = require('../controllers/eventController');
-const { authenticateJWT } = require('../middleware/authMiddlewares');
+const { authenticateJWT, authenticateAnyReader, authorize } = require('../middleware/authMiddlewares');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
- * POST /event - Create a new event (admin only)
+ * POST /event - Create a new event
  * @name CreateEvent
  * @route {POST} /event
- * @authentication This route requires JWT authentication
+ * @authentication This route requires JWT authentication and the events:create permission
  * @bodyparam {string} name - Event name
  * @bodyparam {string} date - Event date
  * @bodyparam {string} time - Event time
@@ -21,28 +22,30 @@ const { authenticateJWT } = require('../middleware/authMiddlewares');
  * @bodyparam {Array<string>} images - Array of image URLs for the event
  * @bodyparam {string} [building_id] - Optional ID of associated building
  */
-router.post('/', authenticateJWT, createEvent);
+router.post('/', authenticateJWT, authorize(PERMISSIONS.EVENTS_CREATE), createEvent);
 
 /**
  * GET /event/upcoming - Get all upcoming events
  * @name GetUpcomingEvents
  * @route {GET} /event/upcoming
+ * @authentication This route requires JWT, API key or guest token authentication and the events:read permission
  */
-router.get('/upcoming', authenticateJWT, getUpcomingEvents);
+router.get('/upcoming', authenticateAnyReader, authorize(PERMISSIONS.EVENTS_READ), getUpcomingEvents);
 
 /**
  * GET /event/:id - Get event by ID
  * @name GetEventById
  * @route {GET} /event/:id
+ * @authentication This route requires JWT, API key or guest token authentication and the events:read permission
  * @routeparam {string} id - Event ID to retrieve
  */
-router.get('/:id', authenticateJWT, getEventById);
+router.get('/:id', authenticateAnyReader, authorize(PERMISSIONS.EVENTS_READ), getEventById);
 
 /**
- * PUT /event/:id - Update an existing event (admin only)
+ * PUT /event/:id - Update an existing event
  * @name UpdateEvent
  * @route {PUT} /event/:id
- * @authentication This route requires JWT authentication
+ * @authentication This route requires JWT authentication and the events:update permission
  * @routeparam {string} id - Event ID to update
  * @bodyparam {string} [name] - Updated event name
  * @bodyparam {string} [date] - Updated event date
@@ -52,6 +55,6 @@ router.get('/:id', authenticateJWT, getEventById);
  * @bodyparam {Array<string>} [images] - Updated array of image URLs
  * @bodyparam {string} [building_id] - Updated ID of associated building
  */
-router.put('/:id', authenticateJWT, updateEvent);
+router.put('/:id', authenticateJWT, authorize(PERMISSIONS.EVENTS_UPDATE), updateEvent);
 
 module.exports = router;
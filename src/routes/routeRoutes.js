@@ -0,0 +1,33 @@
+/**
+ * @module routes/routeRoutes
+ * @description Routes for walking directions and the campus path network
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getRoute, importPathGraph } = require('../controllers/routeController');
+const { authenticateJWT, authenticateAnyReader, authorize } = require('../middleware/authMiddlewares');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * GET /route - Get walking directions between two buildings
+ * @name GetRoute
+ * @route {GET} /route
+ * @authentication This route requires JWT, API key or guest token authentication and the buildings:read permission
+ * @queryparam {string} from - pointId of the start building
+ * @queryparam {string} to - pointId of the destination building
+ * @queryparam {string} [accessible] - "true" to avoid stairs and use only accessible entrances
+ */
+router.get('/', authenticateAnyReader, authorize(PERMISSIONS.BUILDINGS_READ), getRoute);
+
+/**
+ * PUT /route/graph - Replace the campus path network (admin only)
+ * @name ImportPathGraph
+ * @route {PUT} /route/graph
+ * @authentication This route requires JWT authentication and the paths:write permission
+ * @bodyparam {Array<Object>} nodes - Nodes: nodeId, lat, long, optional pointId (entrance of that building) and name
+ * @bodyparam {Array<Object>} edges - Edges: from, to, optional length (m), surface, stairs, indoor, oneway and name
+ */
+router.put('/graph', authenticateJWT, authorize(PERMISSIONS.PATHS_WRITE), importPathGraph);
+
+module.exports = router;
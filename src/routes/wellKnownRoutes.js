@@ -0,0 +1,17 @@
+/**
+ * @module routes/wellKnownRoutes
+ * @description Routes for public discovery documents
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJwksDocument } = require('../controllers/wellKnownController');
+
+/**
+ * GET /.well-known/jwks.json - Public keys for verifying tokens issued by this service
+ * @name GetJwks
+ * @route {GET} /.well-known/jwks.json
+ */
+router.get('/jwks.json', getJwksDocument);
+
+module.exports = router;
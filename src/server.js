@@ -5,11 +5,16 @@
 
 const app = require("./app");
 const connectDB = require("./config/db");
+const { scheduleKeyRotation } = require("./utils/keyStore");
+const { scheduleAccountPurge } = require("./utils/accountDeletion");
 
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start the signing key rotation and account deletion schedules
+connectDB().then(() => {
+    scheduleKeyRotation();
+    scheduleAccountPurge();
+});
 
 // Start HTTP server
 app.listen(PORT, () => {
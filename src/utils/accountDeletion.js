@@ -0,0 +1,100 @@
+/**
+ * @module utils/accountDeletion
+ * @description Deletes accounts whose grace period has ended. The user document is kept as an
+ * anonymous tombstone so events and other content created by the user keep a valid
+ * created_by reference, but every piece of personal data on it is erased.
+ */
+
+const User = require("../models/user");
+const { revokeAllSessions } = require("./sessions");
+
+/**
+ * How long a deletion request can be cancelled, from ACCOUNT_DELETION_GRACE_DAYS (default: 14)
+ * @type {number}
+ */
+const DELETION_GRACE_PERIOD_MS = (Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+/**
+ * How often due deletions are processed, in milliseconds
+ * @type {number}
+ */
+const PURGE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Replaces the personal data of a user with an anonymous placeholder and ends their sessions
+ * @async
+ * @function anonymizeUser
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} The anonymized user document
+ */
+const anonymizeUser = async (user) => {
+    await revokeAllSessions(user._id);
+
+    user.set({
+        firstName: "Deleted",
+        lastName: "User",
+        email: `deleted-${user._id}@deleted.invalid`,
+        password: undefined,
+        role: "visitor",
+        pendingEmail: null,
+        pendingEmailToken: null,
+        pendingEmailExpires: null,
+        emailVerified: false,
+        emailVerificationToken: null,
+        emailVerificationExpires: null,
+        emailVerificationSentAt: null,
+        resetPasswordToken: null,
+        resetPasswordExpires: null,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastUsedStep: null,
+        twoFactorBackupCodes: [],
+        disabled: true,
+        disabledAt: new Date(),
+        oidcIdentities: [],
+        deletionScheduledFor: null,
+        deletedAt: new Date()
+    });
+    await user.save();
+    return user;
+};
+
+/**
+ * Anonymizes every account whose deletion grace period has ended
+ * @async
+ * @function purgeDueAccounts
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+const purgeDueAccounts = async () => {
+    const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } });
+    for (const user of users) {
+        await anonymizeUser(user);
+    }
+    if (users.length > 0) {
+        console.log(`Deleted ${users.length} account(s) after their grace period`);
+    }
+    return users.length;
+};
+
+/**
+ * Processes due deletions now and then every PURGE_CHECK_MS
+ * @function scheduleAccountPurge
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const scheduleAccountPurge = () => {
+    const check = () => purgeDueAccounts().catch(error =>
+        console.error("Account deletion failed:", error));
+
+    check();
+    const timer = setInterval(check, PURGE_CHECK_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    DELETION_GRACE_PERIOD_MS,
+    anonymizeUser,
+    purgeDueAccounts,
+    scheduleAccountPurge
+};
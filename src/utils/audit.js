@@ -0,0 +1,84 @@
+/**
+ * @module utils/audit
+ * @description Writes entries to the audit log, taking the actor, impersonating admin, IP
+ * address and user agent from the request
+ */
+
+const AuditLog = require("../models/auditLog");
+
+/**
+ * Records an action in the audit log
+ * @async
+ * @function recordAudit
+ * @param {Object} req - Express request object of the action
+ * @param {Object} entry - What happened
+ * @param {string} entry.action - Action name, e.g. "impersonation.start"
+ * @param {{type: string, id: string}} [entry.target] - What the action applied to
+ * @param {Object} [entry.diff] - Changed fields ({ field: { from, to } })
+ * @param {Object} [entry.metadata] - Additional details
+ * @param {Object} [entry.actor] - Actor, when the request is not authenticated as them (e.g. login):
+ * a user document or `{ id, email }`
+ * @returns {Promise<Object>} Created audit log entry
+ */
+const recordAudit = (req, { action, target, diff, metadata, actor }) => {
+    const user = req.user || {};
+    const impersonator = user.act ? user.act.sub : null;
+
+    return AuditLog.create({
+        actor: actor ? actor._id || actor.id : user.userId || null,
+        actorEmail: actor ? actor.email : user.email || null,
+        impersonator,
+        action,
+        target: target ? { type: target.type, id: target.id != null ? String(target.id) : null } : undefined,
+        ip: req.ip || null,
+        userAgent: req.headers["user-agent"] || null,
+        diff: diff || null,
+        metadata: metadata || null
+    });
+};
+
+/**
+ * Records an action in the background. A failed write is logged but never fails the request.
+ * @function logAudit
+ * @param {Object} req - Express request object of the action
+ * @param {Object} entry - What happened (see recordAudit)
+ * @returns {void}
+ */
+const logAudit = (req, entry) => {
+    recordAudit(req, entry).catch(error =>
+        console.error(`Error recording audit entry ${entry.action}:`, error));
+};
+
+/**
+ * Normalizes a field value so it can be compared and stored in a diff
+ * @function normalizeValue
+ * @param {*} value - Field value
+ * @returns {*} Plain value
+ */
+const normalizeValue = (value) => {
+    if (value === undefined) return null;
+    if (value && typeof value.toObject === "function") return value.toObject();
+    return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Lists the fields that differ between two versions of a document
+ * @function diffFields
+ * @param {Object|null} before - Previous values, or null for a new document
+ * @param {Object|null} after - New values, or null for a removed document
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object|null} Changed fields as `{ field: { from, to } }`, or null if nothing changed
+ */
+const diffFields = (before, after, fields) => {
+    const diff = {};
+    for (const field of fields) {
+        const from = normalizeValue(before ? before[field] : undefined);
+        const to = normalizeValue(after ? after[field] : undefined);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            diff[field] = { from, to };
+        }
+    }
+    return Object.keys(diff).length > 0 ? diff : null;
+};
+
+module.exports = { recordAudit, logAudit, diffFields };
@@ -0,0 +1,89 @@
+/**
+ * @module utils/clustering
+ * @description Grid-based clustering of map points. Points are projected to Web Mercator pixels
+ * at the requested zoom level and grouped by grid cell, so clusters match what the client would
+ * draw on top of each other at that zoom.
+ */
+
+/**
+ * Size of a map tile in pixels, as used by Web Mercator map clients
+ * @type {number}
+ */
+const TILE_SIZE = 256;
+
+/**
+ * Default width and height of a clustering cell, in screen pixels
+ * @type {number}
+ */
+const DEFAULT_CELL_SIZE_PX = 64;
+
+/**
+ * Projects a coordinate to Web Mercator pixel coordinates at a zoom level
+ * @function toPixel
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {{x: number, y: number}} Pixel coordinates from the top-left corner of the world
+ */
+const toPixel = (lat, lng, zoom) => {
+    const worldSize = TILE_SIZE * Math.pow(2, zoom);
+    // Clamp to the latitudes Web Mercator can show
+    const sin = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+    return {
+        x: ((lng + 180) / 360) * worldSize,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize
+    };
+};
+
+/**
+ * Groups points that fall into the same grid cell at a zoom level. Cells holding a single
+ * point return the point itself; others return a cluster with its size, centroid and bounds.
+ * @function clusterPoints
+ * @param {Array<Object>} points - Items to cluster
+ * @param {number} zoom - Zoom level of the map
+ * @param {Object} [options] - Clustering options
+ * @param {function(Object): {lat: number, lng: number}} [options.getPosition] - Reads the position of an item
+ * (default: its `lat` and `long` fields)
+ * @param {function(Object): string} [options.getId] - Reads the identifier listed in clusters (default: its `pointId`)
+ * @param {number} [options.cellSize=64] - Cell width and height in screen pixels
+ * @returns {{points: Array<Object>, clusters: Array<Object>}} Unclustered points, in input order,
+ * and clusters as `{ count, centroid: { lat, lng }, bbox: [minLng, minLat, maxLng, maxLat], ids }`
+ */
+const clusterPoints = (points, zoom, {
+    getPosition = item => ({ lat: item.lat, lng: item.long }),
+    getId = item => item.pointId,
+    cellSize = DEFAULT_CELL_SIZE_PX
+} = {}) => {
+    const cells = new Map();
+    for (const item of points) {
+        const { lat, lng } = getPosition(item);
+        const { x, y } = toPixel(lat, lng, zoom);
+        const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({ item, lat, lng });
+    }
+
+    const single = new Set();
+    const clusters = [];
+    for (const members of cells.values()) {
+        if (members.length === 1) {
+            single.add(members[0].item);
+            continue;
+        }
+        const lats = members.map(member => member.lat);
+        const lngs = members.map(member => member.lng);
+        clusters.push({
+            count: members.length,
+            centroid: {
+                lat: lats.reduce((sum, value) => sum + value, 0) / members.length,
+                lng: lngs.reduce((sum, value) => sum + value, 0) / members.length
+            },
+            bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)],
+            ids: members.map(member => getId(member.item))
+        });
+    }
+
+    return { points: points.filter(item => single.has(item)), clusters };
+};
+
+module.exports = { clusterPoints, toPixel, DEFAULT_CELL_SIZE_PX };
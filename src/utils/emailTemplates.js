@@ -0,0 +1,279 @@
+/**
+ * @module utils/emailTemplates
+ * @description Renders the HTML and plain-text versions of every email the API sends from
+ * a single definition per template. Wording lives in per-locale translation tables, so new
+ * languages can be added with registerEmailTranslations, and the shared layout takes its
+ * branding from config/mailer (overridable with setEmailBranding).
+ */
+
+const { MAIL_BRANDING, MAIL_DEFAULT_LOCALE } = require("../config/mailer");
+
+/**
+ * @typedef {Object} EmailContent
+ * @property {string} subject - Subject line
+ * @property {string} heading - Heading shown at the top of the email
+ * @property {string[]} paragraphs - Body paragraphs
+ * @property {string} [code] - One-time code shown prominently
+ * @property {{label: string, url: string}} [action] - Call-to-action button
+ */
+
+/**
+ * @typedef {Object} EmailTranslation
+ * @property {function(Object): string} [greeting] - Greeting line, given the template data
+ * @property {function(Object): string} [footer] - Footer line, given the branding
+ * @property {function(Object): string} [support] - Support contact line, given the branding
+ * @property {Object<string, function(Object, Object): EmailContent>} [templates] - Template
+ * functions, given the template data and the render context (branding, locale, formatDate)
+ */
+
+/**
+ * English wording, also the fallback for any string missing from another locale
+ * @type {EmailTranslation}
+ */
+const en = {
+    greeting: ({ firstName }) => (firstName ? `Hi ${firstName},` : "Hi,"),
+    footer: ({ appName }) => `You are receiving this email because of your ${appName} account.`,
+    support: ({ supportEmail }) => `Questions? Contact us at ${supportEmail}.`,
+    templates: {
+        passwordResetOtp: ({ otp, validMinutes }, { appName }) => ({
+            subject: `Your ${appName} password reset code`,
+            heading: "Reset your password",
+            paragraphs: [
+                "Use the code below to reset your password.",
+                `The code is valid for ${validMinutes} minutes. If you did not ask to reset your password, you can ignore this email.`
+            ],
+            code: otp
+        }),
+        emailVerification: ({ verifyUrl, validHours }, { appName }) => ({
+            subject: `Verify your ${appName} email address`,
+            heading: "Confirm your email address",
+            paragraphs: [
+                `Please confirm your email address to finish setting up your ${appName} account.`,
+                `The link is valid for ${validHours} hours.`
+            ],
+            action: { label: "Verify email address", url: verifyUrl }
+        }),
+        accountLocked: ({ lockedUntil }, { appName, formatDate }) => ({
+            subject: `Your ${appName} account has been temporarily locked`,
+            heading: "Your account is temporarily locked",
+            paragraphs: [
+                `We detected several failed sign-in attempts on your account, so it has been locked until ${formatDate(lockedUntil)}.`,
+                "If this was not you, we recommend resetting your password once the lockout ends."
+            ]
+        }),
+        eventReminder: ({ eventName, eventDate, eventTime, location, eventUrl }, { formatDate }) => ({
+            subject: `Reminder: ${eventName}`,
+            heading: eventName,
+            paragraphs: [
+                `This is a reminder that ${eventName} takes place on ${formatDate(eventDate, { dateStyle: "full", timeZone: "UTC" })} at ${eventTime}.`,
+                `Location: ${location}`
+            ],
+            ...(eventUrl && { action: { label: "View event", url: eventUrl } })
+        }),
+        emailChangeConfirmation: ({ confirmUrl, validHours }, { appName }) => ({
+            subject: `Confirm your new ${appName} email address`,
+            heading: "Confirm your new email address",
+            paragraphs: [
+                `Please confirm that you want to use this address for your ${appName} account.`,
+                `The link is valid for ${validHours} hours.`
+            ],
+            action: { label: "Confirm email address", url: confirmUrl }
+        }),
+        emailChanged: ({ newEmail }, { appName }) => ({
+            subject: `Your ${appName} email address was changed`,
+            heading: "Your email address was changed",
+            paragraphs: [
+                `The email address of your ${appName} account was changed to ${newEmail}.`,
+                "If you did not make this change, please contact support."
+            ]
+        }),
+        invitation: ({ role, inviterName, acceptUrl, expiresAt }, { appName, formatDate }) => ({
+            subject: `You have been invited to ${appName}`,
+            heading: `Join ${appName} as ${role === "admin" ? "an admin" : "an organizer"}`,
+            paragraphs: [
+                `${inviterName} invited you to create a ${appName} account with the ${role} role.`,
+                `The invitation expires on ${formatDate(expiresAt)}. If you were not expecting it, you can ignore this email.`
+            ],
+            action: { label: "Accept invitation", url: acceptUrl }
+        }),
+        accountDeletionScheduled: ({ deletionScheduledFor }, { appName, formatDate }) => ({
+            subject: `Your ${appName} account will be deleted`,
+            heading: "Your account is scheduled for deletion",
+            paragraphs: [
+                `Your ${appName} account will be deleted on ${formatDate(deletionScheduledFor)}.`,
+                "To keep your account, sign in before then and cancel the deletion."
+            ]
+        })
+    }
+};
+
+/**
+ * Registered translations by locale
+ * @type {Object<string, EmailTranslation>}
+ */
+const translations = { en };
+
+/**
+ * Active branding
+ * @type {Object}
+ */
+let branding = { ...MAIL_BRANDING };
+
+/**
+ * Adds or overrides wording for a locale. Strings not given fall back to the default
+ * locale and then to English.
+ * @function registerEmailTranslations
+ * @param {string} locale - Language code such as "es" or "pt-BR"
+ * @param {EmailTranslation} translation - Wording to add
+ * @returns {void}
+ */
+const registerEmailTranslations = (locale, translation) => {
+    const existing = translations[locale] || {};
+    translations[locale] = {
+        ...existing,
+        ...translation,
+        templates: { ...existing.templates, ...translation.templates }
+    };
+};
+
+/**
+ * Overrides part of the branding applied to every email
+ * @function setEmailBranding
+ * @param {Object} overrides - Branding fields to change (appName, primaryColor, logoUrl, supportEmail, appUrl)
+ * @returns {void}
+ */
+const setEmailBranding = (overrides) => {
+    branding = { ...branding, ...overrides };
+};
+
+/**
+ * Looks up a string for a locale, falling back to the base language, the default locale and English
+ * @function lookup
+ * @param {string} locale - Requested locale
+ * @param {function(EmailTranslation): *} pick - Selects the string from a translation
+ * @returns {*} The first match, or undefined
+ */
+const lookup = (locale, pick) => {
+    const candidates = [locale, locale && locale.split("-")[0], MAIL_DEFAULT_LOCALE, "en"];
+    for (const candidate of candidates) {
+        const value = candidate && translations[candidate] && pick(translations[candidate]);
+        if (value) return value;
+    }
+    return undefined;
+};
+
+/**
+ * Escapes text for use inside HTML
+ * @function escapeHtml
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Builds the HTML version of an email
+ * @function renderHtml
+ * @param {EmailContent} content - Email content
+ * @param {Object} parts - Shared lines
+ * @param {string} parts.greeting - Greeting line
+ * @param {string} parts.footer - Footer line
+ * @param {string|null} parts.support - Support contact line
+ * @param {string} locale - Locale of the email
+ * @returns {string} HTML document
+ */
+const renderHtml = (content, { greeting, footer, support }, locale) => {
+    const color = escapeHtml(branding.primaryColor);
+    const header = branding.logoUrl
+        ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.appName)}" height="40">`
+        : `<strong style="font-size:20px;color:${color};">${escapeHtml(branding.appName)}</strong>`;
+
+    const body = [
+        `<h1 style="font-size:22px;margin:0 0 16px;">${escapeHtml(content.heading)}</h1>`,
+        `<p>${escapeHtml(greeting)}</p>`,
+        ...content.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        content.code
+            ? `<p style="font-size:28px;font-weight:bold;letter-spacing:6px;text-align:center;">${escapeHtml(content.code)}</p>`
+            : "",
+        content.action
+            ? `<p style="text-align:center;margin:24px 0;"><a href="${escapeHtml(content.action.url)}" style="background:${color};color:#ffffff;padding:12px 24px;border-radius:4px;text-decoration:none;display:inline-block;">${escapeHtml(content.action.label)}</a></p>` +
+                `<p style="font-size:12px;color:#666666;word-break:break-all;">${escapeHtml(content.action.url)}</p>`
+            : ""
+    ].filter(Boolean).join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head><meta charset="utf-8"><title>${escapeHtml(content.subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:#222222;">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-top:4px solid ${color};padding:24px;">
+<div style="margin-bottom:24px;">${header}</div>
+${body}
+<hr style="border:none;border-top:1px solid #eeeeee;margin:24px 0;">
+<p style="font-size:12px;color:#666666;">${escapeHtml(footer)}${support ? `<br>${escapeHtml(support)}` : ""}</p>
+</div>
+</body>
+</html>`;
+};
+
+/**
+ * Builds the plain-text version of an email
+ * @function renderText
+ * @param {EmailContent} content - Email content
+ * @param {Object} parts - Shared lines
+ * @param {string} parts.greeting - Greeting line
+ * @param {string} parts.footer - Footer line
+ * @param {string|null} parts.support - Support contact line
+ * @returns {string} Plain-text body
+ */
+const renderText = (content, { greeting, footer, support }) => [
+    greeting,
+    ...content.paragraphs,
+    content.code,
+    content.action && `${content.action.label}: ${content.action.url}`,
+    "--",
+    [footer, support].filter(Boolean).join("\n")
+].filter(Boolean).join("\n\n");
+
+/**
+ * Renders an email template
+ * @function renderEmail
+ * @param {string} name - Template name (e.g. "passwordResetOtp")
+ * @param {Object} [data={}] - Values for the template
+ * @param {Object} [options] - Render options
+ * @param {string} [options.locale] - Recipient locale; falls back to MAIL_DEFAULT_LOCALE
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ * @throws {Error} If the template does not exist
+ */
+const renderEmail = (name, data = {}, { locale } = {}) => {
+    const resolvedLocale = locale || MAIL_DEFAULT_LOCALE;
+    const template = lookup(resolvedLocale, translation => translation.templates && translation.templates[name]);
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const formatDate = (date, options = { dateStyle: "full", timeStyle: "short", timeZone: "UTC" }) =>
+        new Intl.DateTimeFormat(resolvedLocale, options).format(new Date(date));
+
+    const content = template(data, { ...branding, locale: resolvedLocale, formatDate });
+    const parts = {
+        greeting: lookup(resolvedLocale, translation => translation.greeting)(data),
+        footer: lookup(resolvedLocale, translation => translation.footer)(branding),
+        support: branding.supportEmail ? lookup(resolvedLocale, translation => translation.support)(branding) : null
+    };
+
+    return {
+        subject: content.subject,
+        text: renderText(content, parts),
+        html: renderHtml(content, parts, resolvedLocale)
+    };
+};
+
+module.exports = {
+    renderEmail,
+    registerEmailTranslations,
+    setEmailBranding
+};
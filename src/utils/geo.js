@@ -0,0 +1,51 @@
+/**
+ * @module utils/geo
+ * @description Distance and bearing helpers for coordinates on the Earth's surface
+ */
+
+/**
+ * Mean Earth radius in meters
+ * @type {number}
+ */
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Converts degrees to radians
+ * @function toRadians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @function distanceMeters
+ * @param {{lat: number, lng: number}} a - First coordinate
+ * @param {{lat: number, lng: number}} b - Second coordinate
+ * @returns {number} Distance in meters
+ */
+const distanceMeters = (a, b) => {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Initial compass bearing from one coordinate to another
+ * @function bearingDegrees
+ * @param {{lat: number, lng: number}} a - Start coordinate
+ * @param {{lat: number, lng: number}} b - End coordinate
+ * @returns {number} Bearing in degrees clockwise from north, in [0, 360)
+ */
+const bearingDegrees = (a, b) => {
+    const lat1 = toRadians(a.lat);
+    const lat2 = toRadians(b.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+module.exports = { distanceMeters, bearingDegrees, EARTH_RADIUS_M };
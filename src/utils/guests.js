@@ -0,0 +1,84 @@
+/**
+ * @module utils/guests
+ * @description Starts and renews anonymous guest sessions and upgrades a guest into a registered
+ * user. Guests are read-only and store no data of their own yet, so an upgrade only links the
+ * guest to the new account.
+ */
+
+const Guest = require("../models/guest");
+const { signGuestToken, verifyToken, GUEST_TOKEN_TTL_SECONDS } = require("./tokens");
+const { GUEST_SCOPES } = require("../config/permissions");
+
+/**
+ * How long a guest can go without renewing its token before it is removed, in milliseconds
+ * @type {number}
+ */
+const GUEST_RETENTION_MS = (Number(process.env.GUEST_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+/**
+ * Issues a guest token, for a new guest or renewing an existing one
+ * @async
+ * @function issueGuestToken
+ * @param {Object} req - Express request object
+ * @param {Object} [guest] - Guest document to renew; a new guest is created when omitted
+ * @returns {Promise<{guest: Object, token: string, expiresAt: Date}>} Guest and its new token
+ */
+const issueGuestToken = async (req, guest) => {
+    const now = new Date();
+    if (!guest) {
+        guest = new Guest({ userAgent: req.headers["user-agent"] || null });
+    }
+    guest.last_issued_at = now;
+    guest.expiresAt = new Date(now.getTime() + GUEST_RETENTION_MS);
+    await guest.save();
+
+    const token = await signGuestToken(guest, GUEST_SCOPES);
+    return { guest, token, expiresAt: new Date(now.getTime() + GUEST_TOKEN_TTL_SECONDS * 1000) };
+};
+
+/**
+ * Finds the guest behind a guest token. Expired tokens are accepted so a guest can renew and
+ * register after its token ran out, as long as the guest itself has not been removed.
+ * @async
+ * @function findGuestForToken
+ * @param {string} token - Raw guest token
+ * @returns {Promise<Object|null>} Guest document, or null if the token is invalid, the guest was
+ * removed or has already registered
+ */
+const findGuestForToken = async (token) => {
+    let decoded;
+    try {
+        decoded = await verifyToken(String(token), { ignoreExpiration: true });
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.typ !== "guest") {
+        return null;
+    }
+
+    return Guest.findOne({ _id: decoded.guestId, upgradedTo: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Marks a guest as registered. The guest's tokens stop working.
+ * @async
+ * @function upgradeGuest
+ * @param {Object} guest - Guest document
+ * @param {Object} user - Newly registered user document
+ * @returns {Promise<boolean>} True if the guest was upgraded, false if it already had been
+ */
+const upgradeGuest = async (guest, user) => {
+    const claimed = await Guest.findOneAndUpdate(
+        { _id: guest._id, upgradedTo: null },
+        { $set: { upgradedTo: user._id, upgradedAt: new Date() } }
+    );
+    return Boolean(claimed);
+};
+
+module.exports = {
+    issueGuestToken,
+    findGuestForToken,
+    upgradeGuest,
+    GUEST_RETENTION_MS
+};
@@ -0,0 +1,17 @@
+/**
+ * @module utils/hashToken
+ * @description Utility function for hashing random tokens before they are stored
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Hashes a high-entropy token (refresh token, reset token, recovery code) with SHA-256.
+ * Unlike passwords these need no salt, so the hash can be looked up directly.
+ * @function hashToken
+ * @param {string} token - Raw token handed to the client
+ * @returns {string} SHA-256 hex digest of the token
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+module.exports = hashToken;
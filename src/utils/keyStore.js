@@ -0,0 +1,192 @@
+/**
+ * @module utils/keyStore
+ * @description JWT key set shared by every instance through the SigningKey collection.
+ * The newest active key signs new tokens; older keys keep verifying until every token
+ * they signed has expired, so keys can be rotated without logging anyone out.
+ */
+
+const crypto = require("crypto");
+const SigningKey = require("../models/signingKey");
+
+/**
+ * How long the key set is cached in memory, in milliseconds
+ * @type {number}
+ */
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * How long a retired key keeps verifying: the longest token lifetime (7-day refresh tokens and
+ * invitations) plus a margin. Token lifetimes must not exceed it.
+ * @type {number}
+ */
+const KEY_RETENTION_MS = 8 * 24 * 60 * 60 * 1000;
+
+/**
+ * How often the active signing key is replaced, from JWT_KEY_ROTATION_DAYS (default: 30)
+ * @type {number}
+ */
+const ROTATION_INTERVAL_MS = (Number(process.env.JWT_KEY_ROTATION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * How often the rotation schedule is checked, in milliseconds
+ * @type {number}
+ */
+const ROTATION_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Algorithm for newly generated keys, from JWT_ALGORITHM ("RS256" by default, or "ES256")
+ * @type {string}
+ */
+const ALGORITHM = process.env.JWT_ALGORITHM === "ES256" ? "ES256" : "RS256";
+
+/**
+ * Cached key set
+ * @type {{keys: Object[], loadedAt: number}|null}
+ */
+let cache = null;
+
+/**
+ * Generates a new key pair for the configured algorithm
+ * @function generateKeyPair
+ * @returns {{kid: string, alg: string, privateKey: string, publicJwk: Object}} New key
+ */
+const generateKeyPair = () => {
+    const { privateKey, publicKey } = ALGORITHM === "ES256"
+        ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+        : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+    const kid = crypto.randomUUID();
+    return {
+        kid,
+        alg: ALGORITHM,
+        privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+        publicJwk: { ...publicKey.export({ format: "jwk" }), kid, alg: ALGORITHM, use: "sig" }
+    };
+};
+
+/**
+ * Loads every key that can still verify tokens, newest first
+ * @async
+ * @function loadKeys
+ * @param {boolean} [force=false] - Bypass the in-memory cache
+ * @returns {Promise<Object[]>} Key documents
+ */
+const loadKeys = async (force = false) => {
+    if (!force && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+        return cache.keys;
+    }
+
+    const keys = await SigningKey.find({
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).sort({ created_at: -1 }).lean();
+
+    cache = { keys, loadedAt: Date.now() };
+    return keys;
+};
+
+/**
+ * Returns the key new tokens are signed with, generating the first key if the set is empty
+ * @async
+ * @function getActiveSigningKey
+ * @returns {Promise<{kid: string, alg: string, privateKey: string}>} Active key
+ */
+const getActiveSigningKey = async () => {
+    const keys = await loadKeys();
+    const active = keys.find(key => key.status === "active");
+    if (active) return active;
+
+    await SigningKey.create(generateKeyPair());
+    const reloaded = await loadKeys(true);
+    return reloaded.find(key => key.status === "active");
+};
+
+/**
+ * Returns the public key for a key ID, reloading the set once if the ID is unknown
+ * (it may have been created by another instance)
+ * @async
+ * @function getVerificationKey
+ * @param {string} kid - Key ID from a token header
+ * @returns {Promise<{key: crypto.KeyObject, alg: string}|null>} Public key and algorithm, or null if unknown
+ */
+const getVerificationKey = async (kid) => {
+    for (const force of [false, true]) {
+        const keys = await loadKeys(force);
+        const match = keys.find(key => key.kid === kid);
+        if (match) {
+            return { key: crypto.createPublicKey({ key: match.publicJwk, format: "jwk" }), alg: match.alg };
+        }
+    }
+    return null;
+};
+
+/**
+ * Returns the public JSON Web Key Set of every key that can still verify tokens
+ * @async
+ * @function getJwks
+ * @returns {Promise<{keys: Object[]}>} JWKS document
+ */
+const getJwks = async () => {
+    const keys = await loadKeys();
+    return { keys: keys.map(key => key.publicJwk) };
+};
+
+/**
+ * Generates a new active key and retires the previous ones. Retired keys keep verifying
+ * for KEY_RETENTION_MS and are then removed by the TTL index.
+ * @async
+ * @function rotateKeys
+ * @returns {Promise<string>} Key ID of the new active key
+ */
+const rotateKeys = async () => {
+    const newKey = await SigningKey.create(generateKeyPair());
+    const now = new Date();
+
+    await SigningKey.updateMany(
+        { status: "active", kid: { $ne: newKey.kid } },
+        { status: "retired", retired_at: now, expiresAt: new Date(now.getTime() + KEY_RETENTION_MS) }
+    );
+
+    await loadKeys(true);
+    console.log(`JWT signing key rotated (new kid ${newKey.kid})`);
+    return newKey.kid;
+};
+
+/**
+ * Rotates the signing key when the active key is older than the rotation interval
+ * @async
+ * @function rotateKeysIfDue
+ * @returns {Promise<void>}
+ */
+const rotateKeysIfDue = async () => {
+    const active = await SigningKey.findOne({ status: "active" }).sort({ created_at: -1 });
+    if (!active) {
+        await getActiveSigningKey();
+        return;
+    }
+    if (Date.now() - active.created_at.getTime() >= ROTATION_INTERVAL_MS) {
+        await rotateKeys();
+    }
+};
+
+/**
+ * Checks the rotation schedule now and then every ROTATION_CHECK_MS
+ * @function scheduleKeyRotation
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const scheduleKeyRotation = () => {
+    const check = () => rotateKeysIfDue().catch(error =>
+        console.error("JWT signing key rotation failed:", error));
+
+    check();
+    const timer = setInterval(check, ROTATION_CHECK_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    getActiveSigningKey,
+    getVerificationKey,
+    getJwks,
+    rotateKeys,
+    scheduleKeyRotation
+};
@@ -0,0 +1,136 @@
+/**
+ * @module utils/mailer
+ * @description Sends templated emails through a pluggable transport. The SMTP driver delivers
+ * real mail; the file driver writes each message as JSON to an outbox directory and the
+ * console driver prints it, so email flows such as OTPs can be exercised offline.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const { MAIL_DRIVER, MAIL_FROM, SMTP_OPTIONS, MAIL_OUTBOX_DIR } = require("../config/mailer");
+const { renderEmail } = require("./emailTemplates");
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} from - Sender address
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain-text body
+ * @property {string} html - HTML body
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {function(MailMessage): Promise<Object>} send - Delivers a message and resolves with driver-specific info
+ */
+
+/**
+ * Creates a transport that delivers mail over SMTP
+ * @function createSmtpTransport
+ * @param {Object} [options=SMTP_OPTIONS] - Nodemailer transport options
+ * @returns {MailTransport} SMTP transport
+ */
+const createSmtpTransport = (options = SMTP_OPTIONS) => {
+    const transporter = nodemailer.createTransport(options);
+    return {
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+/**
+ * Creates a transport that writes every message as a JSON file, for development and tests
+ * @function createFileTransport
+ * @param {string} [directory=MAIL_OUTBOX_DIR] - Outbox directory, created if missing
+ * @returns {MailTransport} File transport
+ */
+const createFileTransport = (directory = MAIL_OUTBOX_DIR) => ({
+    send: async (message) => {
+        await fs.mkdir(directory, { recursive: true });
+        const messageId = crypto.randomUUID();
+        const file = path.join(directory, `${Date.now()}-${messageId}.json`);
+        await fs.writeFile(file, JSON.stringify({ messageId, date: new Date(), ...message }, null, 2));
+        return { messageId, file };
+    }
+});
+
+/**
+ * Creates a transport that prints every message to the console
+ * @function createConsoleTransport
+ * @returns {MailTransport} Console transport
+ */
+const createConsoleTransport = () => ({
+    send: async (message) => {
+        const messageId = crypto.randomUUID();
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}\n`);
+        return { messageId };
+    }
+});
+
+/**
+ * Transport factories by MAIL_DRIVER value
+ * @type {Object<string, function(): MailTransport>}
+ */
+const DRIVERS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+/**
+ * Active transport, chosen by MAIL_DRIVER
+ * @type {MailTransport}
+ */
+let transport = DRIVERS[MAIL_DRIVER]();
+
+/**
+ * Returns the active mail transport
+ * @function getMailTransport
+ * @returns {MailTransport} Active transport
+ */
+const getMailTransport = () => transport;
+
+/**
+ * Replaces the active mail transport (e.g. with a file transport in tests)
+ * @function setMailTransport
+ * @param {MailTransport} newTransport - Transport to use from now on
+ * @returns {void}
+ */
+const setMailTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+/**
+ * Renders a template and sends it
+ * @async
+ * @function sendEmail
+ * @param {string} template - Template name (see utils/emailTemplates)
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {Object} [options.data] - Values for the template
+ * @param {string} [options.locale] - Recipient locale, e.g. from their language preference
+ * @returns {Promise<Object>} Delivery info from the transport
+ */
+const sendEmail = async (template, { to, data, locale }) => {
+    const { subject, text, html } = renderEmail(template, data, { locale });
+    return transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+/**
+ * Returns the locale emails to a user should be written in
+ * @function localeFor
+ * @param {Object} user - User document
+ * @returns {string|undefined} Preferred language, if set
+ */
+const localeFor = (user) => (user && user.preferences ? user.preferences.language : undefined);
+
+module.exports = {
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    getMailTransport,
+    setMailTransport,
+    sendEmail,
+    localeFor
+};
@@ -0,0 +1,201 @@
+/**
+ * @module utils/oidcClient
+ * @description Minimal OpenID Connect relying party: discovery, authorization-code + PKCE
+ * requests, token exchange and ID token verification against the provider's JWKS
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * How long discovery documents and key sets are cached, in milliseconds
+ * @type {number}
+ */
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Asymmetric algorithms accepted for ID token signatures
+ * @type {string[]}
+ */
+const ALLOWED_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+/**
+ * Discovery documents and key sets by URL
+ * @type {Map<string, {value: Object, fetchedAt: number}>}
+ */
+const cache = new Map();
+
+/**
+ * Fetches a JSON document, caching it for CACHE_TTL_MS
+ * @async
+ * @function fetchJson
+ * @param {string} url - Document URL
+ * @param {boolean} [force=false] - Bypass the cache
+ * @returns {Promise<Object>} Parsed JSON
+ */
+const fetchJson = async (url, force = false) => {
+    const cached = cache.get(url);
+    if (!force && cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+        return cached.value;
+    }
+
+    const response = await fetch(url, { headers: { Accept: "application/json" } });
+    if (!response.ok) {
+        throw new Error(`Request to ${url} failed with status ${response.status}`);
+    }
+
+    const value = await response.json();
+    cache.set(url, { value, fetchedAt: Date.now() });
+    return value;
+};
+
+/**
+ * Encodes bytes as base64url without padding
+ * @function base64Url
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+const base64Url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Reads the provider's discovery document
+ * @async
+ * @function discover
+ * @param {Object} provider - Provider config (see config/oidc)
+ * @returns {Promise<Object>} OpenID provider metadata
+ */
+const discover = async (provider) => {
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer.replace(/\/+$/, "") !== provider.issuer) {
+        throw new Error(`Discovery issuer ${metadata.issuer} does not match configured issuer ${provider.issuer}`);
+    }
+    return metadata;
+};
+
+/**
+ * Generates the random values of one sign-in: state, nonce and a PKCE verifier/challenge pair
+ * @function createAuthRequest
+ * @returns {{state: string, nonce: string, codeVerifier: string, codeChallenge: string}} Sign-in parameters
+ */
+const createAuthRequest = () => {
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    return {
+        state: base64Url(crypto.randomBytes(24)),
+        nonce: base64Url(crypto.randomBytes(24)),
+        codeVerifier,
+        codeChallenge: base64Url(crypto.createHash("sha256").update(codeVerifier).digest())
+    };
+};
+
+/**
+ * Builds the URL the user is sent to in order to sign in with the provider
+ * @async
+ * @function buildAuthorizationUrl
+ * @param {Object} provider - Provider config
+ * @param {Object} request - Values from createAuthRequest
+ * @returns {Promise<string>} Authorization URL
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+    const metadata = await discover(provider);
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scopes.join(" "),
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    }).toString();
+    return url.toString();
+};
+
+/**
+ * Exchanges an authorization code for tokens at the provider's token endpoint
+ * @async
+ * @function exchangeCode
+ * @param {Object} provider - Provider config
+ * @param {string} code - Authorization code from the callback
+ * @param {string} codeVerifier - PKCE code verifier of the sign-in
+ * @returns {Promise<Object>} Token response containing at least an id_token
+ */
+const exchangeCode = async (provider, code, codeVerifier) => {
+    const metadata = await discover(provider);
+    const body = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier,
+        ...(provider.clientSecret && { client_secret: provider.clientSecret })
+    });
+
+    const response = await fetch(metadata.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+        body
+    });
+    const tokens = await response.json();
+
+    if (!response.ok || !tokens.id_token) {
+        throw new Error(`Token exchange failed: ${tokens.error_description || tokens.error || response.status}`);
+    }
+    return tokens;
+};
+
+/**
+ * Finds the provider key an ID token was signed with, refreshing the key set once on a miss
+ * @async
+ * @function getSigningKey
+ * @param {Object} provider - Provider config
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (provider, kid) => {
+    const metadata = await discover(provider);
+
+    for (const force of [false, true]) {
+        const { keys = [] } = await fetchJson(metadata.jwks_uri, force);
+        const jwk = keys.find(key => key.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null);
+        if (jwk) {
+            return crypto.createPublicKey({ key: jwk, format: "jwk" });
+        }
+    }
+    throw new Error(`No signing key found for kid ${kid}`);
+};
+
+/**
+ * Verifies an ID token's signature, issuer, audience, expiry and nonce
+ * @async
+ * @function verifyIdToken
+ * @param {Object} provider - Provider config
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified ID token claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error("ID token is malformed");
+    }
+
+    const key = await getSigningKey(provider, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ALLOWED_ALGORITHMS,
+        issuer: [provider.issuer, `${provider.issuer}/`],
+        audience: provider.clientId
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error("ID token nonce does not match");
+    }
+    return claims;
+};
+
+module.exports = {
+    createAuthRequest,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+};
@@ -0,0 +1,154 @@
+/**
+ * @module utils/otpStore
+ * @description Issues and checks one-time codes for any flow that emails a code. Codes live
+ * in the OtpCode collection, so they survive restarts and are shared by every instance; only
+ * a salted hash is stored, each code accepts a limited number of guesses, and a new code
+ * cannot be sent to the same subject until the resend cooldown has passed.
+ */
+
+const crypto = require("crypto");
+const OtpCode = require("../models/otpCode");
+
+/**
+ * Flows that use one-time codes
+ * @type {{PASSWORD_RESET: string, EMAIL_VERIFICATION: string, LOGIN_CHALLENGE: string}}
+ */
+const OTP_PURPOSES = {
+    PASSWORD_RESET: "password_reset",
+    EMAIL_VERIFICATION: "email_verification",
+    LOGIN_CHALLENGE: "login_challenge"
+};
+
+/**
+ * Default lifetime, guess limit and resend cooldown of a code
+ * @type {{ttlMs: number, maxAttempts: number, resendCooldownMs: number}}
+ */
+const OTP_DEFAULTS = {
+    ttlMs: 5 * 60 * 1000,
+    maxAttempts: 5,
+    resendCooldownMs: 60 * 1000
+};
+
+/**
+ * Hashes a code with its salt
+ * @function hashCode
+ * @param {string} code - Plain code
+ * @param {string} salt - Hex salt
+ * @returns {string} Hex digest
+ */
+const hashCode = (code, salt) => crypto.createHash("sha256").update(`${salt}:${code}`).digest("hex");
+
+/**
+ * Builds the lookup filter of a code. The subject is forced to a string so request
+ * values such as `{ "$ne": null }` cannot match another subject's code.
+ * @function codeFilter
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} subject - Who the code is for
+ * @returns {{purpose: string, subject: string}} Query filter
+ */
+const codeFilter = (purpose, subject) => ({ purpose, subject: String(subject) });
+
+/**
+ * Issues a new 6-digit code, replacing any earlier code for the same purpose and subject
+ * @async
+ * @function issueOtp
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} subject - Who the code is for, e.g. an email address
+ * @param {Object} [options] - Overrides of OTP_DEFAULTS
+ * @param {number} [options.ttlMs] - Lifetime of the code
+ * @param {number} [options.resendCooldownMs] - Minimum time since the previous code was sent
+ * @returns {Promise<{code: string, expiresAt: Date}|{retryAt: Date}>} The code to send, or when
+ * a new one may be requested if the cooldown has not passed
+ */
+const issueOtp = async (purpose, subject, options = {}) => {
+    const { ttlMs, resendCooldownMs } = { ...OTP_DEFAULTS, ...options };
+    const now = Date.now();
+
+    const previous = await OtpCode.findOne({ ...codeFilter(purpose, subject), expiresAt: { $gt: new Date(now) } }).select("sentAt");
+    if (previous && previous.sentAt.getTime() + resendCooldownMs > now) {
+        return { retryAt: new Date(previous.sentAt.getTime() + resendCooldownMs) };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+    const salt = crypto.randomBytes(16).toString("hex");
+    const expiresAt = new Date(now + ttlMs);
+
+    await OtpCode.findOneAndUpdate(
+        codeFilter(purpose, subject),
+        { codeHash: hashCode(code, salt), salt, attempts: 0, sentAt: new Date(now), expiresAt },
+        { upsert: true }
+    );
+
+    return { code, expiresAt };
+};
+
+/**
+ * Checks a code. A correct code is consumed; a code that has used up its guesses is discarded.
+ * @async
+ * @function verifyOtp
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} subject - Who the code was issued to
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Overrides of OTP_DEFAULTS
+ * @param {number} [options.maxAttempts] - Guesses allowed per code
+ * @returns {Promise<{status: string, attemptsRemaining?: number}>} "valid", "invalid" (with
+ * attemptsRemaining), "exhausted" once the last guess was wrong, or "missing" if there is no live code
+ */
+const verifyOtp = async (purpose, subject, code, options = {}) => {
+    const { maxAttempts } = { ...OTP_DEFAULTS, ...options };
+
+    // Count the guess atomically so parallel requests cannot exceed the limit
+    const entry = await OtpCode.findOneAndUpdate(
+        { ...codeFilter(purpose, subject), expiresAt: { $gt: new Date() }, attempts: { $lt: maxAttempts } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!entry) {
+        return { status: "missing" };
+    }
+
+    const expected = Buffer.from(entry.codeHash, "hex");
+    const actual = Buffer.from(hashCode(String(code || ""), entry.salt), "hex");
+    if (crypto.timingSafeEqual(expected, actual)) {
+        await OtpCode.deleteOne({ _id: entry._id });
+        return { status: "valid" };
+    }
+
+    if (entry.attempts >= maxAttempts) {
+        await OtpCode.deleteOne({ _id: entry._id });
+        return { status: "exhausted" };
+    }
+    return { status: "invalid", attemptsRemaining: maxAttempts - entry.attempts };
+};
+
+/**
+ * Tells whether a live code exists for a purpose and subject
+ * @async
+ * @function hasOtp
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} subject - Who the code was issued to
+ * @returns {Promise<boolean>} True if a code can still be verified
+ */
+const hasOtp = async (purpose, subject) =>
+    Boolean(await OtpCode.exists({ ...codeFilter(purpose, subject), expiresAt: { $gt: new Date() } }));
+
+/**
+ * Discards the code for a purpose and subject, if any
+ * @async
+ * @function discardOtp
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} subject - Who the code was issued to
+ * @returns {Promise<void>}
+ */
+const discardOtp = async (purpose, subject) => {
+    await OtpCode.deleteOne(codeFilter(purpose, subject));
+};
+
+module.exports = {
+    OTP_PURPOSES,
+    OTP_DEFAULTS,
+    issueOtp,
+    verifyOtp,
+    hasOtp,
+    discardOtp
+};
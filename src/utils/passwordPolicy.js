@@ -0,0 +1,27 @@
+/**
+ * @module utils/passwordPolicy
+ * @description Password strength rules shared by every flow that sets a password
+ */
+
+/**
+ * Minimum 8 characters with at least one letter, one number, and one special character
+ * @type {RegExp}
+ */
+const passwordRegex = /^(?=.*[A-Za-z])(?=.*\d)(?=.*[!@#$%^&*(),.?":{}|<>]).{8,}$/;
+
+/**
+ * Error message returned when a password does not satisfy the policy
+ * @type {string}
+ */
+const passwordPolicyMessage =
+    "Password must be at least 8 characters long, contain at least one letter, one number, and one special character.";
+
+/**
+ * Checks a plain text password against the password policy
+ * @function isStrongPassword
+ * @param {string} password - Plain text password to check
+ * @returns {boolean} True if the password satisfies the policy, false otherwise
+ */
+const isStrongPassword = (password) => typeof password === "string" && passwordRegex.test(password);
+
+module.exports = { passwordRegex, passwordPolicyMessage, isStrongPassword };
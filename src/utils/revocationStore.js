@@ -0,0 +1,113 @@
+/**
+ * @module utils/revocationStore
+ * @description Pluggable store of revoked JWT identifiers (`jti`). The MongoDB store is
+ * shared between instances and survives restarts; the in-memory store is meant for tests.
+ */
+
+const RevokedToken = require("../models/revokedToken");
+
+/**
+ * @typedef {Object} RevocationStore
+ * @property {function(string, Date): Promise<void>} revoke - Marks a token ID as revoked until the given expiry
+ * @property {function(string): Promise<boolean>} isRevoked - Resolves true if the token ID has been revoked
+ * @property {function(string, Date): Promise<boolean>} claim - Revokes a token ID for a single-use token, resolving
+ * true only for the one caller that revoked it first
+ */
+
+/**
+ * Creates a revocation store backed by the RevokedToken collection
+ * @function createMongoRevocationStore
+ * @returns {RevocationStore} MongoDB-backed revocation store
+ */
+const createMongoRevocationStore = () => ({
+    revoke: async (jti, expiresAt) => {
+        await RevokedToken.updateOne(
+            { jti },
+            { $setOnInsert: { jti, expiresAt } },
+            { upsert: true }
+        );
+    },
+    isRevoked: async (jti) => {
+        const entry = await RevokedToken.exists({ jti, expiresAt: { $gt: new Date() } });
+        return Boolean(entry);
+    },
+    claim: async (jti, expiresAt) => {
+        try {
+            const result = await RevokedToken.updateOne(
+                { jti },
+                { $setOnInsert: { jti, expiresAt } },
+                { upsert: true }
+            );
+            return result.upsertedCount === 1;
+        } catch (error) {
+            // Two concurrent upserts of the same jti: the unique index refuses the second
+            if (error.code === 11000) return false;
+            throw error;
+        }
+    }
+});
+
+/**
+ * Creates a process-local revocation store. Expired entries are pruned on access.
+ * @function createMemoryRevocationStore
+ * @returns {RevocationStore} In-memory revocation store
+ */
+const createMemoryRevocationStore = () => {
+    const entries = new Map();
+
+    const prune = () => {
+        const now = Date.now();
+        for (const [jti, expiresAt] of entries) {
+            if (expiresAt <= now) entries.delete(jti);
+        }
+    };
+
+    return {
+        revoke: async (jti, expiresAt) => {
+            prune();
+            entries.set(jti, expiresAt.getTime());
+        },
+        isRevoked: async (jti) => {
+            prune();
+            return entries.has(jti);
+        },
+        claim: async (jti, expiresAt) => {
+            prune();
+            if (entries.has(jti)) return false;
+            entries.set(jti, expiresAt.getTime());
+            return true;
+        }
+    };
+};
+
+/**
+ * Active store, chosen by TOKEN_REVOCATION_STORE ("mongo" by default, or "memory")
+ * @type {RevocationStore}
+ */
+let store = process.env.TOKEN_REVOCATION_STORE === "memory"
+    ? createMemoryRevocationStore()
+    : createMongoRevocationStore();
+
+/**
+ * Returns the active revocation store
+ * @function getRevocationStore
+ * @returns {RevocationStore} Active revocation store
+ */
+const getRevocationStore = () => store;
+
+/**
+ * Replaces the active revocation store (e.g. with an in-memory store in tests)
+ * @function setRevocationStore
+ * @param {RevocationStore} newStore - Store to use from now on
+ * @returns {void}
+ */
+const setRevocationStore = (newStore) => {
+    store = newStore;
+};
+
+module.exports = {
+    createMongoRevocationStore,
+    createMemoryRevocationStore,
+    getRevocationStore,
+    setRevocationStore
+};
@@ -0,0 +1,415 @@
+/**
+ * @module utils/routing
+ * @description Walking directions over the campus path network: loads the graph, finds the
+ * shortest path with A* and turns it into a GeoJSON line with turn-by-turn steps
+ */
+
+const PathNode = require("../models/pathNode");
+const PathEdge = require("../models/pathEdge");
+const { distanceMeters, bearingDegrees } = require("./geo");
+
+/**
+ * Average walking speed used for time estimates, in meters per second
+ * @type {number}
+ */
+const WALKING_SPEED_MPS = Number(process.env.WALKING_SPEED_MPS) || 1.4;
+
+/**
+ * How much longer a segment with stairs takes to walk than a flat one of the same length
+ * @type {number}
+ */
+const STAIRS_TIME_FACTOR = 2;
+
+/**
+ * How long a loaded graph is reused before it is read again, so imports made through
+ * another instance are picked up
+ * @type {number}
+ */
+const GRAPH_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Turns smaller than this many degrees are reported as continuing straight
+ * @type {number}
+ */
+const STRAIGHT_TOLERANCE_DEG = 30;
+
+/**
+ * @typedef {Object} Graph
+ * @property {Map<string, Object>} nodes - Nodes by nodeId: `{ nodeId, lat, lng, pointId, name }`
+ * @property {Map<string, Array<{to: string, edge: Object}>>} adjacency - Outgoing edges by nodeId
+ * @property {Map<string, string[]>} entrances - nodeIds of the entrance nodes of each building pointId
+ */
+
+/**
+ * Cached graph and the time it was loaded
+ * @type {{graph: Graph, loadedAt: number}|null}
+ */
+let cache = null;
+
+/**
+ * Builds the in-memory graph from node and edge records
+ * @function buildGraph
+ * @param {Array<Object>} nodeRecords - PathNode plain objects
+ * @param {Array<Object>} edgeRecords - PathEdge plain objects
+ * @returns {Graph} Graph ready for path finding
+ */
+const buildGraph = (nodeRecords, edgeRecords) => {
+    const nodes = new Map();
+    const adjacency = new Map();
+    const entrances = new Map();
+
+    for (const record of nodeRecords) {
+        nodes.set(record.nodeId, { nodeId: record.nodeId, lat: record.lat, lng: record.long, pointId: record.pointId, name: record.name });
+        adjacency.set(record.nodeId, []);
+        if (record.pointId) {
+            if (!entrances.has(record.pointId)) entrances.set(record.pointId, []);
+            entrances.get(record.pointId).push(record.nodeId);
+        }
+    }
+
+    for (const edge of edgeRecords) {
+        if (!nodes.has(edge.from) || !nodes.has(edge.to)) continue;
+        adjacency.get(edge.from).push({ to: edge.to, edge });
+        if (!edge.oneway) {
+            adjacency.get(edge.to).push({ to: edge.from, edge });
+        }
+    }
+
+    return { nodes, adjacency, entrances };
+};
+
+/**
+ * Returns the campus path graph, reading it from the database when the cache is empty or stale
+ * @async
+ * @function loadGraph
+ * @returns {Promise<Graph>} Campus path graph
+ */
+const loadGraph = async () => {
+    if (cache && Date.now() - cache.loadedAt < GRAPH_CACHE_MS) {
+        return cache.graph;
+    }
+    const [nodeRecords, edgeRecords] = await Promise.all([PathNode.find().lean(), PathEdge.find().lean()]);
+    cache = { graph: buildGraph(nodeRecords, edgeRecords), loadedAt: Date.now() };
+    return cache.graph;
+};
+
+/**
+ * Drops the cached graph so the next route reads the network again
+ * @function invalidateGraph
+ * @returns {void}
+ */
+const invalidateGraph = () => {
+    cache = null;
+};
+
+/**
+ * Finds the graph node closest to a coordinate
+ * @function nearestNode
+ * @param {Graph} graph - Campus path graph
+ * @param {{lat: number, lng: number}} position - Coordinate to match
+ * @param {number} maxDistance - Largest accepted distance, in meters
+ * @returns {{node: Object, distance: number}|null} Closest node and its distance, or null if none is close enough
+ */
+const nearestNode = (graph, position, maxDistance) => {
+    let best = null;
+    for (const node of graph.nodes.values()) {
+        if (graph.adjacency.get(node.nodeId).length === 0) continue;
+        const distance = distanceMeters(position, node);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+            best = { node, distance };
+        }
+    }
+    return best;
+};
+
+/**
+ * Creates a binary min-heap of `{ priority }` entries, used as the A* open set
+ * @function createMinHeap
+ * @returns {{push: function(Object): void, pop: function(): Object, size: function(): number}} Heap
+ */
+const createMinHeap = () => {
+    const items = [];
+    const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+
+    return {
+        push: (entry) => {
+            items.push(entry);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent].priority <= items[i].priority) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop: () => {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                    if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        },
+        size: () => items.length
+    };
+};
+
+/**
+ * @typedef {Object} Terminal
+ * @property {string} nodeId - Graph node where the walk starts or ends
+ * @property {number} [cost=0] - Extra distance to reach the node, e.g. from an entrance off the network, in meters
+ */
+
+/**
+ * Finds the shortest walking path from any start to any goal with A*. Each terminal can carry an
+ * extra cost, so the result also picks the best entrance. The heuristic is the straight-line
+ * distance to the nearest goal, which never overestimates because edges are at least that long.
+ * @function findPath
+ * @param {Graph} graph - Campus path graph
+ * @param {Array<Terminal|string>} starts - Where the walk can start (nodeIds or terminals)
+ * @param {Array<Terminal|string>} goals - Where the walk can end (nodeIds or terminals)
+ * @param {Object} [options] - Path options
+ * @param {function(Object): boolean} [options.allowEdge] - Returns false for edges that must not be used
+ * @returns {{nodeIds: string[], edges: Object[], distance: number, start: Terminal, goal: Terminal}|null}
+ * Path with the chosen terminals (distance includes their costs), or null if no goal can be reached
+ */
+const findPath = (graph, starts, goals, { allowEdge = () => true } = {}) => {
+    const toTerminal = (terminal) => (typeof terminal === "string" ? { nodeId: terminal, cost: 0 } : { cost: 0, ...terminal });
+    const startTerminals = starts.map(toTerminal).filter(terminal => graph.nodes.has(terminal.nodeId));
+    const goalTerminals = new Map();
+    for (const goal of goals.map(toTerminal)) {
+        if (!graph.nodes.has(goal.nodeId)) continue;
+        const known = goalTerminals.get(goal.nodeId);
+        if (!known || goal.cost < known.cost) goalTerminals.set(goal.nodeId, goal);
+    }
+    if (startTerminals.length === 0 || goalTerminals.size === 0) return null;
+
+    const goalNodes = [...goalTerminals.keys()].map(id => graph.nodes.get(id));
+    const heuristic = (nodeId) => {
+        const node = graph.nodes.get(nodeId);
+        return Math.min(...goalNodes.map(goal => distanceMeters(node, goal)));
+    };
+
+    // Goals lead to a virtual finish node, so a goal with a high cost is not taken just because it was reached first
+    const FINISH = Symbol("finish");
+    const cost = new Map();
+    const previous = new Map();
+    const open = createMinHeap();
+    for (const start of startTerminals) {
+        if (cost.has(start.nodeId) && cost.get(start.nodeId) <= start.cost) continue;
+        cost.set(start.nodeId, start.cost);
+        previous.delete(start.nodeId);
+        open.push({ nodeId: start.nodeId, priority: start.cost + heuristic(start.nodeId) });
+    }
+
+    const closed = new Set();
+    while (open.size() > 0) {
+        const { nodeId } = open.pop();
+        if (closed.has(nodeId)) continue;
+        closed.add(nodeId);
+
+        if (nodeId === FINISH) {
+            const goalId = previous.get(FINISH).from;
+            const nodeIds = [goalId];
+            const edges = [];
+            let current = goalId;
+            while (previous.has(current)) {
+                const step = previous.get(current);
+                edges.unshift(step.edge);
+                nodeIds.unshift(step.from);
+                current = step.from;
+            }
+            const start = startTerminals.find(terminal => terminal.nodeId === current && terminal.cost === cost.get(current));
+            return {
+                nodeIds,
+                edges,
+                distance: cost.get(FINISH),
+                start,
+                goal: goalTerminals.get(goalId)
+            };
+        }
+
+        if (goalTerminals.has(nodeId)) {
+            const candidate = cost.get(nodeId) + goalTerminals.get(nodeId).cost;
+            if (!cost.has(FINISH) || candidate < cost.get(FINISH)) {
+                cost.set(FINISH, candidate);
+                previous.set(FINISH, { from: nodeId, edge: null });
+                open.push({ nodeId: FINISH, priority: candidate });
+            }
+        }
+
+        for (const { to, edge } of graph.adjacency.get(nodeId)) {
+            if (closed.has(to) || !allowEdge(edge)) continue;
+            const candidate = cost.get(nodeId) + edge.length;
+            if (!cost.has(to) || candidate < cost.get(to)) {
+                cost.set(to, candidate);
+                previous.set(to, { from: nodeId, edge });
+                open.push({ nodeId: to, priority: candidate + heuristic(to) });
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Estimated walking time of an edge
+ * @function edgeDuration
+ * @param {Object} edge - PathEdge plain object
+ * @returns {number} Time in seconds
+ */
+const edgeDuration = (edge) =>
+    (edge.length / WALKING_SPEED_MPS) * (edge.stairs ? STAIRS_TIME_FACTOR : 1);
+
+/**
+ * Names the compass direction of a bearing
+ * @function compassDirection
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} north, northeast, east, ...
+ */
+const compassDirection = (bearing) =>
+    ["north", "northeast", "east", "southeast", "south", "southwest", "west", "northwest"][Math.round(bearing / 45) % 8];
+
+/**
+ * Describes the change of direction between two bearings
+ * @function turnModifier
+ * @param {number} fromBearing - Bearing before the turn
+ * @param {number} toBearing - Bearing after the turn
+ * @returns {string|null} "slight left", "left", "sharp left", the same for right, or null when going straight
+ */
+const turnModifier = (fromBearing, toBearing) => {
+    const delta = ((toBearing - fromBearing + 540) % 360) - 180;
+    const magnitude = Math.abs(delta);
+    if (magnitude < STRAIGHT_TOLERANCE_DEG) return null;
+    const side = delta > 0 ? "right" : "left";
+    if (magnitude < 60) return `slight ${side}`;
+    if (magnitude < 135) return side;
+    return `sharp ${side}`;
+};
+
+/**
+ * Writes the instruction of a step
+ * @function instructionFor
+ * @param {Object} step - Step with maneuver, modifier, name, stairs and indoor fields
+ * @param {number} bearing - Bearing at the start of the step
+ * @param {string|null} previousName - Path name of the step before, if any
+ * @returns {string} Human-readable instruction
+ */
+const instructionFor = (step, bearing, previousName) => {
+    let text;
+    if (step.maneuver === "depart") {
+        text = `Head ${compassDirection(bearing)}${step.name ? ` on ${step.name}` : ""}`;
+    } else if (step.modifier) {
+        text = `Turn ${step.modifier}${step.name && step.name !== previousName ? ` onto ${step.name}` : ""}`;
+    } else {
+        text = step.name && step.name !== previousName ? `Continue onto ${step.name}` : "Continue straight";
+    }
+    if (step.stairs) text += " and take the stairs";
+    if (step.enters) text += `, entering the building${typeof step.enters === "string" ? ` at ${step.enters}` : ""}`;
+    if (step.exits) text += ", going outside";
+    return text;
+};
+
+/**
+ * Turns a path into a GeoJSON line, total distance and time, and turn-by-turn steps. Consecutive
+ * edges are merged into one step while the path name, stairs and indoor flags stay the same and
+ * the path keeps going roughly straight.
+ * @function describeRoute
+ * @param {Graph} graph - Campus path graph
+ * @param {{nodeIds: string[], edges: Object[]}} path - Path from findPath
+ * @param {Object} [options] - Description options
+ * @param {string} [options.destinationName] - Name used in the arrival step
+ * @returns {{geometry: Object, distance: number, duration: number, steps: Object[]}} Route description
+ * (distance in meters, durations in seconds)
+ */
+const describeRoute = (graph, path, { destinationName } = {}) => {
+    const points = path.nodeIds.map(id => graph.nodes.get(id));
+    const steps = [];
+    let current = null;
+    let lastBearing = null;
+
+    path.edges.forEach((edge, index) => {
+        const start = points[index];
+        const end = points[index + 1];
+        const bearing = bearingDegrees(start, end);
+        const modifier = lastBearing === null ? null : turnModifier(lastBearing, bearing);
+        const sameWay = current &&
+            !modifier &&
+            (edge.name || null) === current.name &&
+            edge.stairs === current.stairs &&
+            edge.indoor === current.indoor;
+
+        if (sameWay) {
+            current.distance += edge.length;
+            current.duration += edgeDuration(edge);
+        } else {
+            const enters = edge.indoor && !(current ? current.indoor : false) ? (start.name || true) : null;
+            const exits = !edge.indoor && Boolean(current && current.indoor);
+            const previousName = current ? current.name : null;
+            current = {
+                maneuver: current ? (modifier ? "turn" : "continue") : "depart",
+                modifier,
+                name: edge.name || null,
+                stairs: edge.stairs,
+                indoor: edge.indoor,
+                enters,
+                exits,
+                distance: edge.length,
+                duration: edgeDuration(edge),
+                location: [start.lng, start.lat]
+            };
+            current.instruction = instructionFor(current, bearing, previousName);
+            steps.push(current);
+        }
+        lastBearing = bearing;
+    });
+
+    const end = points[points.length - 1];
+    steps.push({
+        maneuver: "arrive",
+        modifier: null,
+        name: null,
+        stairs: false,
+        indoor: Boolean(current && current.indoor),
+        instruction: `Arrive at ${destinationName || end.name || "your destination"}`,
+        distance: 0,
+        duration: 0,
+        location: [end.lng, end.lat]
+    });
+
+    const distance = path.edges.reduce((sum, edge) => sum + edge.length, 0);
+    const duration = path.edges.reduce((sum, edge) => sum + edgeDuration(edge), 0);
+
+    return {
+        geometry: { type: "LineString", coordinates: points.map(point => [point.lng, point.lat]) },
+        distance: Math.round(distance),
+        duration: Math.round(duration),
+        steps: steps.map(({ enters, exits, ...step }) => ({
+            ...step,
+            distance: Math.round(step.distance),
+            duration: Math.round(step.duration)
+        }))
+    };
+};
+
+module.exports = {
+    buildGraph,
+    loadGraph,
+    invalidateGraph,
+    nearestNode,
+    findPath,
+    describeRoute,
+    edgeDuration,
+    WALKING_SPEED_MPS
+};
@@ -0,0 +1,43 @@
+/**
+ * @module utils/serializeUser
+ * @description Converts user documents into the only shape the API returns. Fields are
+ * allowlisted so password hashes, token hashes and two-factor secrets can never leak.
+ */
+
+/**
+ * Fields of a user document that may appear in API responses
+ * @type {string[]}
+ */
+const USER_PUBLIC_FIELDS = [
+    "firstName",
+    "lastName",
+    "email",
+    "role",
+    "preferences",
+    "emailVerified",
+    "twoFactorEnabled",
+    "disabled",
+    "deletionScheduledFor"
+];
+
+/**
+ * Mongoose projection selecting only the public fields, for list queries
+ * @type {string}
+ */
+const USER_PUBLIC_PROJECTION = USER_PUBLIC_FIELDS.join(" ");
+
+/**
+ * Serializes a user document for an API response
+ * @function serializeUser
+ * @param {Object} user - User document or plain object
+ * @returns {Object} Public user representation
+ */
+const serializeUser = (user) => {
+    const serialized = { id: user._id };
+    for (const field of USER_PUBLIC_FIELDS) {
+        serialized[field] = user[field];
+    }
+    return serialized;
+};
+
+module.exports = { serializeUser, USER_PUBLIC_FIELDS, USER_PUBLIC_PROJECTION };
@@ -0,0 +1,116 @@
+/**
+ * @module utils/sessions
+ * @description Helpers that start, rotate and end device sessions and the tokens tied to them
+ */
+
+const Session = require("../models/session");
+const { revokeTokenFamily } = require("../middleware/authMiddlewares");
+const { signAccessToken, signRefreshToken, REFRESH_TOKEN_TTL_SECONDS } = require("./tokens");
+const hashToken = require("./hashToken");
+
+/**
+ * Returns the expiry of a session that was just used
+ * @function nextExpiry
+ * @returns {Date} Date one refresh token lifetime from now
+ */
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+
+/**
+ * Starts a new session for a user on the requesting device and issues its tokens
+ * @async
+ * @function createSession
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object of the login or registration
+ * @param {Object} [options] - Session options
+ * @param {boolean} [options.mfa=false] - Whether the user completed two-factor authentication
+ * @param {string} [options.deviceName] - Device name, when not given in the request body
+ * @returns {Promise<{session: Object, accessToken: string, refreshToken: string}>} New session and its tokens
+ */
+const createSession = async (user, req, { mfa = false, deviceName } = {}) => {
+    const session = new Session({
+        user: user._id,
+        deviceName: deviceName || (req.body && req.body.deviceName) || null,
+        userAgent: req.headers["user-agent"] || null,
+        ip: req.ip || null,
+        mfa,
+        expiresAt: nextExpiry()
+    });
+
+    const family = session._id.toString();
+    const accessToken = await signAccessToken(user, family, { mfa });
+    const refreshToken = await signRefreshToken(user, family);
+
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return { session, accessToken, refreshToken };
+};
+
+/**
+ * Rotates the tokens of an existing session. The presented refresh token is compared and
+ * replaced in a single conditional write, so when the same token is presented twice at once
+ * only one of the requests gets a new token pair.
+ * @async
+ * @function rotateSession
+ * @param {Object} session - Session document
+ * @param {Object} user - User document the session belongs to
+ * @param {Object} req - Express request object of the refresh
+ * @param {string} presentedToken - Refresh token the client presented
+ * @returns {Promise<{accessToken: string, refreshToken: string}|null>} New token pair, or null if the
+ * presented token is no longer the session's current refresh token
+ */
+const rotateSession = async (session, user, req, presentedToken) => {
+    const family = session._id.toString();
+    const accessToken = await signAccessToken(user, family, { mfa: session.mfa });
+    const refreshToken = await signRefreshToken(user, family);
+
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hashToken(presentedToken) },
+        {
+            $set: {
+                refreshTokenHash: hashToken(refreshToken),
+                last_used_at: new Date(),
+                expiresAt: nextExpiry(),
+                ip: req.ip || session.ip
+            }
+        },
+        { new: true }
+    );
+    if (!rotated) return null;
+
+    return { accessToken, refreshToken };
+};
+
+/**
+ * Ends a single session and revokes every access token issued to it
+ * @async
+ * @function revokeSession
+ * @param {Object} session - Session document
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (session) => {
+    await revokeTokenFamily(session._id.toString());
+    await Session.deleteOne({ _id: session._id });
+};
+
+/**
+ * Ends every session of a user
+ * @async
+ * @function revokeAllSessions
+ * @param {string} userId - ID of the user
+ * @returns {Promise<number>} Number of sessions ended
+ */
+const revokeAllSessions = async (userId) => {
+    const sessions = await Session.find({ user: userId }).select("_id");
+    for (const session of sessions) {
+        await revokeSession(session);
+    }
+    return sessions.length;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions
+};
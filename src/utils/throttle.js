@@ -0,0 +1,151 @@
+/**
+ * @module utils/throttle
+ * @description Brute-force protection for authentication endpoints. Failed attempts are
+ * counted per account and per IP address; past a free allowance each further failure
+ * locks the key for an exponentially growing period.
+ */
+
+const AuthThrottle = require("../models/authThrottle");
+
+/**
+ * Limits applied to each counter scope
+ * @type {Object<string, {freeFailures: number, baseLockMs: number, maxLockMs: number}>}
+ */
+const LIMITS = {
+    account: { freeFailures: 5, baseLockMs: 30 * 1000, maxLockMs: 60 * 60 * 1000 },
+    ip: { freeFailures: 20, baseLockMs: 30 * 1000, maxLockMs: 60 * 60 * 1000 }
+};
+
+/**
+ * How long failures are remembered after the last one
+ * @type {number}
+ */
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the counter key for an account
+ * @function accountKey
+ * @param {string} action - Protected action, e.g. "login" or "otp_verify"
+ * @param {string} email - Account email address
+ * @returns {{key: string, scope: string}} Counter key
+ */
+const accountKey = (action, email) => ({
+    key: `${action}:account:${String(email).toLowerCase()}`,
+    scope: "account"
+});
+
+/**
+ * Builds the counter key for an IP address
+ * @function ipKey
+ * @param {string} action - Protected action, e.g. "login" or "otp_verify"
+ * @param {string} ip - Client IP address
+ * @returns {{key: string, scope: string}} Counter key
+ */
+const ipKey = (action, ip) => ({
+    key: `${action}:ip:${ip}`,
+    scope: "ip"
+});
+
+/**
+ * Returns the longest active lockout among the given keys
+ * @async
+ * @function getLockout
+ * @param {Array<{key: string, scope: string}>} keys - Counter keys to check
+ * @returns {Promise<{scope: string, lockedUntil: Date}|null>} Active lockout, or null if none
+ */
+const getLockout = async (keys) => {
+    const lockout = await AuthThrottle.findOne({
+        key: { $in: keys.map(k => k.key) },
+        lockedUntil: { $gt: new Date() }
+    }).sort({ lockedUntil: -1 });
+
+    return lockout ? { scope: lockout.scope, lockedUntil: lockout.lockedUntil } : null;
+};
+
+/**
+ * Records a failed attempt against a key and locks it once the free allowance is used up
+ * @async
+ * @function registerFailure
+ * @param {{key: string, scope: string}} throttleKey - Counter key
+ * @returns {Promise<{failures: number, lockedUntil: Date|null, firstLockout: boolean}>} Updated counter state
+ */
+const registerFailure = async ({ key, scope }) => {
+    const limits = LIMITS[scope];
+    const now = Date.now();
+
+    const entry = await AuthThrottle.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { scope, expiresAt: new Date(now + WINDOW_MS) } },
+        { upsert: true, new: true }
+    );
+
+    const excess = entry.failures - limits.freeFailures;
+    if (excess <= 0) {
+        return { failures: entry.failures, lockedUntil: null, firstLockout: false };
+    }
+
+    const lockMs = Math.min(limits.baseLockMs * 2 ** (excess - 1), limits.maxLockMs);
+    entry.lockedUntil = new Date(now + lockMs);
+    await entry.save();
+
+    return { failures: entry.failures, lockedUntil: entry.lockedUntil, firstLockout: excess === 1 };
+};
+
+/**
+ * Records failed attempts against several keys at once
+ * @async
+ * @function registerFailures
+ * @param {Array<{key: string, scope: string}>} keys - Counter keys
+ * @returns {Promise<Array<Object>>} Updated counter state for each key, in order
+ */
+const registerFailures = (keys) => Promise.all(keys.map(registerFailure));
+
+/**
+ * Forgets the failed attempts of the given keys, e.g. the account key after a successful login.
+ * IP keys should be left to expire: an attacker with one valid account could otherwise reset
+ * them between rounds of guesses at other accounts.
+ * @async
+ * @function clearFailures
+ * @param {Array<{key: string, scope: string}>} keys - Counter keys
+ * @returns {Promise<void>}
+ */
+const clearFailures = async (keys) => {
+    await AuthThrottle.deleteMany({ key: { $in: keys.map(k => k.key) } });
+};
+
+/**
+ * Sends the response for a locked key: 423 for a locked account, 429 for a throttled IP.
+ * Both carry a Retry-After header and the time the client may retry.
+ * @function sendLockout
+ * @param {Object} res - Express response object
+ * @param {{scope: string, lockedUntil: Date}} lockout - Active lockout
+ * @returns {Object} Express response
+ */
+const sendLockout = (res, lockout) => {
+    const retryAfter = Math.max(1, Math.ceil((lockout.lockedUntil.getTime() - Date.now()) / 1000));
+    res.set("Retry-After", String(retryAfter));
+
+    if (lockout.scope === "account") {
+        return res.status(423).json({
+            message: "Too many failed attempts. This account is temporarily locked.",
+            retryAfter,
+            retryAt: lockout.lockedUntil
+        });
+    }
+
+    return res.status(429).json({
+        message: "Too many attempts from this address. Please try again later.",
+        retryAfter,
+        retryAt: lockout.lockedUntil
+    });
+};
+
+module.exports = {
+    accountKey,
+    ipKey,
+    getLockout,
+    registerFailure,
+    registerFailures,
+    clearFailures,
+    sendLockout
+};
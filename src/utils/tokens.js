@@ -0,0 +1,207 @@
+/**
+ * @module utils/tokens
+ * @description Helpers for issuing and verifying the JWTs handed to clients. Tokens are
+ * signed with the active asymmetric key from the key store and carry its `kid` header.
+ */
+
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { getActiveSigningKey, getVerificationKey } = require("./keyStore");
+
+/**
+ * Lifetime of an access token, in seconds
+ * @type {number}
+ */
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+
+/**
+ * Lifetime of a refresh token, in seconds
+ * @type {number}
+ */
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Lifetime of a two-factor login challenge token, in seconds
+ * @type {number}
+ */
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Lifetime of an admin impersonation token, in seconds
+ * @type {number}
+ */
+const IMPERSONATION_TOKEN_TTL_SECONDS = 15 * 60;
+
+/**
+ * Lifetime of a guest token, in seconds. Guests renew it rather than using a refresh token.
+ * @type {number}
+ */
+const GUEST_TOKEN_TTL_SECONDS = 4 * 60 * 60;
+
+/**
+ * Default and longest lifetime of an invitation, in seconds
+ * @type {number}
+ */
+const INVITATION_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Signs a payload with the active signing key
+ * @async
+ * @function signToken
+ * @param {Object} payload - JWT claims
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Promise<string>} Signed JWT
+ */
+const signToken = async (payload, expiresIn) => {
+    const { kid, alg, privateKey } = await getActiveSigningKey();
+    return jwt.sign(payload, privateKey, {
+        algorithm: alg,
+        keyid: kid,
+        expiresIn,
+        jwtid: crypto.randomUUID()
+    });
+};
+
+/**
+ * Verifies a token against the key set, choosing the key by its `kid` header. Tokens signed
+ * with the legacy shared JWT_SECRET (no `kid`) are accepted only while JWT_SECRET is set and
+ * until the LEGACY_HS256_UNTIL date (ISO 8601); without that date they are refused.
+ * @async
+ * @function verifyToken
+ * @param {string} token - Raw JWT
+ * @param {Object} [options] - jsonwebtoken verify options, e.g. { ignoreExpiration: true }
+ * @returns {Promise<Object>} Decoded payload; rejects if the token is invalid
+ */
+const verifyToken = async (token, options = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+        throw new jwt.JsonWebTokenError("jwt malformed");
+    }
+
+    if (!decoded.header.kid) {
+        const legacyUntil = Date.parse(process.env.LEGACY_HS256_UNTIL || "");
+        if (!process.env.JWT_SECRET || !(Date.now() < legacyUntil)) {
+            throw new jwt.JsonWebTokenError("missing key id");
+        }
+        const payload = jwt.verify(token, process.env.JWT_SECRET, { ...options, algorithms: ["HS256"] });
+        // Legacy tokens predate the `typ` claim: access tokens carried email and role, refresh tokens only userId
+        return { ...payload, typ: payload.role ? "access" : "refresh" };
+    }
+
+    const verificationKey = await getVerificationKey(decoded.header.kid);
+    if (!verificationKey) {
+        throw new jwt.JsonWebTokenError("unknown key id");
+    }
+    return jwt.verify(token, verificationKey.key, { ...options, algorithms: [verificationKey.alg] });
+};
+
+/**
+ * Signs a short-lived access token for a user. Every token carries a unique `jti`
+ * so it can be revoked individually.
+ * @function signAccessToken
+ * @param {Object} user - User document
+ * @param {string} [family] - Refresh token family (session ID) the access token belongs to
+ * @param {Object} [options] - Additional claims
+ * @param {boolean} [options.mfa=false] - Whether the session was established with two-factor authentication
+ * @returns {Promise<string>} Signed JWT access token
+ */
+const signAccessToken = (user, family, { mfa = false } = {}) => signToken(
+    {
+        typ: "access",
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        mfa,
+        ...(family && { fam: family })
+    },
+    ACCESS_TOKEN_TTL_SECONDS
+);
+
+/**
+ * Signs a long-lived refresh token for a user
+ * @function signRefreshToken
+ * @param {Object} user - User document
+ * @param {string} family - Refresh token family (session ID) the token belongs to
+ * @returns {Promise<string>} Signed JWT refresh token
+ */
+const signRefreshToken = (user, family) => signToken(
+    { typ: "refresh", userId: user._id, fam: family },
+    REFRESH_TOKEN_TTL_SECONDS
+);
+
+/**
+ * Signs the challenge token returned by a password login when two-factor authentication
+ * is enabled. It only proves the password step and is exchanged for real tokens with a TOTP code.
+ * @function signTwoFactorChallenge
+ * @param {Object} user - User document
+ * @returns {Promise<string>} Signed JWT challenge token
+ */
+const signTwoFactorChallenge = (user) => signToken(
+    { typ: "2fa_challenge", userId: user._id },
+    TWO_FACTOR_CHALLENGE_TTL_SECONDS
+);
+
+/**
+ * Signs a short-lived access token that lets an admin act as another user for support.
+ * The `act` claim names the real admin (RFC 8693). The token has no session or refresh
+ * token, and is read-only unless `allowWrites` is set.
+ * @function signImpersonationToken
+ * @param {Object} user - User document being impersonated
+ * @param {Object} admin - User document of the admin
+ * @param {Object} [options] - Token options
+ * @param {boolean} [options.allowWrites=false] - Whether write requests are accepted
+ * @returns {Promise<string>} Signed JWT access token
+ */
+const signImpersonationToken = (user, admin, { allowWrites = false } = {}) => signToken(
+    {
+        typ: "access",
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        mfa: false,
+        act: { sub: String(admin._id), email: admin.email },
+        allowWrites
+    },
+    IMPERSONATION_TOKEN_TTL_SECONDS
+);
+
+/**
+ * Signs the token emailed with an invitation. It names the invitation record, which is
+ * checked on acceptance so the token can only be used once and can be revoked.
+ * @function signInvitationToken
+ * @param {Object} invitation - Invitation document
+ * @returns {Promise<string>} Signed JWT invitation token, expiring with the invitation
+ */
+const signInvitationToken = (invitation) => signToken(
+    { typ: "invite", inv: String(invitation._id), email: invitation.email, role: invitation.role },
+    Math.max(Math.ceil((invitation.expiresAt.getTime() - Date.now()) / 1000), 1)
+);
+
+/**
+ * Signs a token for an anonymous guest. It has its own `typ`, so it is refused wherever a user
+ * access token is required, and carries the read-only scopes guests are limited to.
+ * @function signGuestToken
+ * @param {Object} guest - Guest document
+ * @param {string[]} scopes - Permissions granted to guests (see config/permissions GUEST_SCOPES)
+ * @returns {Promise<string>} Signed JWT guest token
+ */
+const signGuestToken = (guest, scopes) => signToken(
+    { typ: "guest", guestId: String(guest._id), role: "guest", scopes },
+    GUEST_TOKEN_TTL_SECONDS
+);
+
+module.exports = {
+    verifyToken,
+    signAccessToken,
+    signRefreshToken,
+    signTwoFactorChallenge,
+    signImpersonationToken,
+    signInvitationToken,
+    signGuestToken,
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_SECONDS,
+    TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+    IMPERSONATION_TOKEN_TTL_SECONDS,
+    INVITATION_TOKEN_TTL_SECONDS,
+    GUEST_TOKEN_TTL_SECONDS
+};
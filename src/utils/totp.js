@@ -0,0 +1,166 @@
+/**
+ * @module utils/totp
+ * @description RFC 6238 time-based one-time passwords (TOTP) for two-factor authentication
+ */
+
+const crypto = require("crypto");
+
+/**
+ * RFC 4648 base32 alphabet used by authenticator apps
+ * @type {string}
+ */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Length of a TOTP time step, in seconds
+ * @type {number}
+ */
+const STEP_SECONDS = 30;
+
+/**
+ * Number of digits in a TOTP code
+ * @type {number}
+ */
+const DIGITS = 6;
+
+/**
+ * Encodes bytes as unpadded base32
+ * @function base32Encode
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodes a base32 string, ignoring padding, spaces and case
+ * @function base32Decode
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random TOTP secret
+ * @function generateSecret
+ * @returns {string} 160-bit secret, base32 encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Computes the TOTP code for a time step (RFC 4226 HOTP over the step counter)
+ * @function generateCode
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Returns the current time step
+ * @function currentStep
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number} Time step counter
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Verifies a TOTP code, allowing for clock drift of one step either way
+ * @function verifyCode
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window=1] - Number of steps of drift to accept on each side
+ * @param {number} [options.lastUsedStep] - Last step already accepted; it and earlier steps are refused to prevent replay
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, lastUsedStep } = {}) => {
+    if (typeof code !== "string" || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const now = currentStep();
+    for (let step = now - window; step <= now + window; step++) {
+        if (lastUsedStep != null && step <= lastUsedStep) continue;
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code
+ * @function buildOtpauthUri
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label shown in the app, usually the email address
+ * @param {string} [issuer="Xplore NU"] - Issuer label shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer = "Xplore NU") => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    buildOtpauthUri
+};
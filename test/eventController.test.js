@@ -0,0 +1,50 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const Event = require("../src/models/event");
+const AuditLog = require("../src/models/auditLog");
+const { updateEvent } = require("../src/controllers/eventController");
+const { mockResponse, mockRequest } = require("./helpers");
+
+const owner = new mongoose.Types.ObjectId();
+let event;
+
+beforeEach((t) => {
+    event = new Event({
+        name: "Career fair",
+        date: new Date("2026-11-02"),
+        time: "10:00",
+        location: "Curry Student Center",
+        description: "Meet employers",
+        images: ["https://example.edu/fair.png"],
+        created_by: owner
+    });
+    t.mock.method(event, "save", async () => event);
+    t.mock.method(Event, "findById", async () => event);
+    t.mock.method(AuditLog, "create", async () => ({}));
+});
+
+const update = async (user) => {
+    const res = mockResponse();
+    await updateEvent(mockRequest({ params: { id: String(event._id) }, body: { name: "Spring career fair" }, user }), res);
+    return res;
+};
+
+test("lets the organizer who created an event update it", async () => {
+    const res = await update({ userId: String(owner), role: "organizer" });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(event.name, "Spring career fair");
+});
+
+test("refuses another organizer's update", async () => {
+    const res = await update({ userId: String(new mongoose.Types.ObjectId()), role: "organizer" });
+    assert.strictEqual(res.statusCode, 403);
+    assert.deepStrictEqual(res.body.missingPermissions, []);
+    assert.strictEqual(event.name, "Career fair");
+    assert.strictEqual(event.save.mock.callCount(), 0);
+});
+
+test("lets an admin update any event", async () => {
+    const res = await update({ userId: String(new mongoose.Types.ObjectId()), role: "admin", mfa: true });
+    assert.strictEqual(res.statusCode, 200);
+});
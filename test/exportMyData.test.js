@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const User = require("../src/models/user");
+const Event = require("../src/models/event");
+const Session = require("../src/models/session");
+const AuditLog = require("../src/models/auditLog");
+const Guest = require("../src/models/guest");
+const { exportMyData } = require("../src/controllers/profileController");
+const { mockResponse, mockRequest } = require("./helpers");
+
+/** Query stand-in whose select/sort chain resolves to the given documents */
+const query = (docs) => {
+    const chain = { select: () => chain, sort: () => chain, lean: async () => docs };
+    return chain;
+};
+
+test("includes the user's audit log entries and upgraded guest sessions", async (t) => {
+    const user = new User({
+        firstName: "Ada",
+        lastName: "Lovelace",
+        email: "ada@u.northwestern.edu",
+        password: "hashed",
+        role: "student"
+    });
+    const adminId = new mongoose.Types.ObjectId();
+    const guestId = new mongoose.Types.ObjectId();
+
+    t.mock.method(User, "findById", async () => user);
+    t.mock.method(Event, "find", () => query([]));
+    t.mock.method(Session, "find", () => query([]));
+    t.mock.method(Guest, "find", () => query([{ _id: guestId, userAgent: "Kiosk", created_at: new Date(), upgradedAt: new Date() }]));
+    t.mock.method(AuditLog, "find", () => query([
+        { actor: user._id, action: "auth.login", ip: "203.0.113.10", userAgent: "Firefox", created_at: new Date() },
+        { actor: adminId, action: "admin.user.role_changed", target: { type: "User", id: String(user._id) }, ip: "198.51.100.1", userAgent: "Admin", created_at: new Date() },
+        { actor: user._id, impersonator: adminId, action: "impersonation.request", ip: "198.51.100.1", created_at: new Date() }
+    ]));
+
+    const res = mockResponse();
+    await exportMyData(mockRequest({ user: { userId: String(user._id) } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const filter = AuditLog.find.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(filter.$or, [{ actor: user._id }, { "target.type": "User", "target.id": String(user._id) }]);
+
+    const [own, byAdmin, impersonated] = res.body.auditLog;
+    assert.strictEqual(own.performedBy, "you");
+    assert.strictEqual(own.ip, "203.0.113.10");
+    assert.strictEqual(byAdmin.performedBy, "administrator");
+    assert.strictEqual(byAdmin.ip, undefined, "an administrator's address is not exported");
+    assert.strictEqual(impersonated.performedBy, "administrator impersonating you");
+    assert.strictEqual(impersonated.ip, undefined);
+
+    assert.deepStrictEqual(res.body.guestSessions.map(guest => guest.id), [guestId]);
+});
@@ -0,0 +1,111 @@
+/**
+ * @module test/helpers
+ * @description Shared fixtures for the test suite: in-memory stand-ins for the SigningKey and
+ * AuthThrottle collections, and minimal Express request and response objects
+ */
+
+const crypto = require("crypto");
+const SigningKey = require("../src/models/signingKey");
+const AuthThrottle = require("../src/models/authThrottle");
+
+/**
+ * Generates an RS256 key shaped like a SigningKey document
+ * @function createSigningKey
+ * @param {Object} [fields] - Fields to override, e.g. { status: "retired" }
+ * @returns {Object} Key document
+ */
+const createSigningKey = (fields = {}) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const kid = crypto.randomUUID();
+    return {
+        kid,
+        alg: "RS256",
+        privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+        publicJwk: { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" },
+        status: "active",
+        created_at: new Date(),
+        expiresAt: null,
+        ...fields
+    };
+};
+
+/**
+ * Serves the given keys from SigningKey.find, so tokens can be signed and verified without a database
+ * @function mockSigningKeys
+ * @param {Object} mock - node:test mock tracker (t.mock)
+ * @param {Object[]} keys - Key documents, newest first
+ * @returns {void}
+ */
+const mockSigningKeys = (mock, keys) => {
+    mock.method(SigningKey, "find", () => ({ sort: () => ({ lean: async () => keys }) }));
+};
+
+/**
+ * Serves the throttle counters from memory, applying each update the way MongoDB would
+ * @function mockThrottleStore
+ * @param {Object} mock - node:test mock tracker (t.mock)
+ * @returns {Map<string, Object>} Counter entries by key
+ */
+const mockThrottleStore = (mock) => {
+    const entries = new Map();
+    mock.method(AuthThrottle, "findOne", ({ key, lockedUntil }) => ({
+        sort: async () => key.$in
+            .map(k => entries.get(k))
+            .filter(entry => entry && entry.lockedUntil && entry.lockedUntil > lockedUntil.$gt)
+            .sort((a, b) => b.lockedUntil - a.lockedUntil)[0] || null
+    }));
+    mock.method(AuthThrottle, "findOneAndUpdate", async ({ key }, update) => {
+        if (!entries.has(key)) {
+            const entry = { key, failures: 0, lockedUntil: null };
+            entry.save = async () => entry;
+            entries.set(key, entry);
+        }
+        const entry = entries.get(key);
+        entry.failures += update.$inc.failures;
+        Object.assign(entry, update.$set);
+        return entry;
+    });
+    mock.method(AuthThrottle, "deleteMany", async ({ key }) => {
+        for (const k of key.$in) entries.delete(k);
+    });
+    return entries;
+};
+
+/**
+ * Creates a response object that records the status and JSON body sent by a controller
+ * @function mockResponse
+ * @returns {Object} Response with `statusCode`, `body` and `headers`
+ */
+const mockResponse = () => {
+    const res = { statusCode: 200, body: undefined, headers: {} };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name.toLowerCase()] = value;
+        return res;
+    };
+    return res;
+};
+
+/**
+ * Creates a request object for calling a controller directly
+ * @function mockRequest
+ * @param {Object} [fields] - Request fields such as body, query, params or user
+ * @returns {Object} Request
+ */
+const mockRequest = (fields = {}) => ({
+    body: {},
+    query: {},
+    params: {},
+    headers: {},
+    ip: "203.0.113.10",
+    ...fields
+});
+
+module.exports = { createSigningKey, mockSigningKeys, mockThrottleStore, mockResponse, mockRequest };
@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const User = require("../src/models/user");
+const { createInvitation } = require("../src/controllers/invitationController");
+const { mockResponse, mockRequest } = require("./helpers");
+
+const invite = async (expiresInDays) => {
+    const res = mockResponse();
+    await createInvitation(mockRequest({
+        body: { email: "organizer@u.northwestern.edu", role: "organizer", expiresInDays },
+        user: { userId: "admin", role: "admin", mfa: true }
+    }), res);
+    return res;
+};
+
+test("refuses invitations that would outlive the retired signing key", async (t) => {
+    t.mock.method(User, "exists", async () => true);
+
+    const tooLong = await invite(30);
+    assert.strictEqual(tooLong.statusCode, 400);
+    assert.strictEqual(User.exists.mock.callCount(), 0);
+
+    // Seven days passes validation and reaches the duplicate-account check
+    assert.strictEqual((await invite(7)).statusCode, 409);
+    assert.strictEqual((await invite(8)).statusCode, 400);
+});
@@ -0,0 +1,70 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const User = require("../src/models/user");
+const Session = require("../src/models/session");
+const AuditLog = require("../src/models/auditLog");
+const { loginUser } = require("../src/controllers/authController");
+const { createSigningKey, mockSigningKeys, mockThrottleStore, mockResponse, mockRequest } = require("./helpers");
+
+const signingKey = createSigningKey();
+const password = "Correct-horse-9";
+const attacker = {
+    _id: new mongoose.Types.ObjectId(),
+    email: "attacker@u.northwestern.edu",
+    password: bcrypt.hashSync(password, 4),
+    role: "student",
+    twoFactorEnabled: false,
+    disabled: false
+};
+let throttle;
+
+beforeEach((t) => {
+    mockSigningKeys(t.mock, [signingKey]);
+    throttle = mockThrottleStore(t.mock);
+    t.mock.method(User, "findOne", async ({ email }) => (email === attacker.email ? attacker : null));
+    t.mock.method(Session.prototype, "save", async function () { return this; });
+    t.mock.method(AuditLog, "create", async () => ({}));
+});
+
+const login = async (email, attempt, ip = "203.0.113.10") => {
+    const res = mockResponse();
+    await loginUser(mockRequest({ body: { email, password: attempt }, ip }), res);
+    return res;
+};
+
+test("locks an account after five failed passwords, even for the right password", async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await login(attacker.email, "wrong")).statusCode, 401);
+    }
+
+    const locked = await login(attacker.email, "wrong");
+    assert.strictEqual(locked.statusCode, 423);
+    assert.ok(Number(locked.headers["retry-after"]) > 0);
+
+    const correct = await login(attacker.email, password, "198.51.100.7");
+    assert.strictEqual(correct.statusCode, 423);
+});
+
+test("a successful login clears the account counter but not the IP counter", async () => {
+    await login("victim@u.northwestern.edu", "guess-1");
+    await login(attacker.email, "wrong");
+
+    assert.strictEqual((await login(attacker.email, password)).statusCode, 200);
+    assert.strictEqual(throttle.has(`login:account:${attacker.email}`), false);
+    assert.strictEqual(throttle.get("login:ip:203.0.113.10").failures, 2);
+});
+
+test("throttles an IP guessing at many accounts despite logging into its own in between", async () => {
+    for (let round = 0; round < 4; round++) {
+        for (let i = 0; i < 5; i++) {
+            const res = await login(`victim${round}-${i}@u.northwestern.edu`, "guess");
+            assert.strictEqual(res.statusCode, 401);
+        }
+        assert.strictEqual((await login(attacker.email, password)).statusCode, 200);
+    }
+
+    const throttled = await login("victim-next@u.northwestern.edu", "guess");
+    assert.strictEqual(throttled.statusCode, 429);
+});
@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Building = require("../src/models/building");
+const { getNearbyBuildings } = require("../src/controllers/buildingController");
+const { distanceMeters } = require("../src/utils/geo");
+const { mockResponse, mockRequest } = require("./helpers");
+
+const here = { lat: 42.3400, lng: -71.0900 };
+
+// Its pin is next door, but the only accessible entrance is round the back
+const library = {
+    building_name: "Library",
+    pointId: "library",
+    lat: 42.3401,
+    long: -71.0900,
+    entrances: [
+        { name: "Front steps", lat: 42.3401, long: -71.0900, accessible: false },
+        { name: "Rear ramp", lat: 42.3412, long: -71.0900, accessible: true, automaticDoor: true }
+    ]
+};
+// Its pin is further away, but an accessible entrance faces the point
+const gym = {
+    building_name: "Gym",
+    pointId: "gym",
+    lat: 42.3408,
+    long: -71.0900,
+    entrances: [{ name: "Side door", lat: 42.3404, long: -71.0900, accessible: true }]
+};
+// Only its inaccessible entrance is within the radius
+const hall = {
+    building_name: "Hall",
+    pointId: "hall",
+    lat: 42.3410,
+    long: -71.0900,
+    entrances: [
+        { name: "Loading dock", lat: 42.3405, long: -71.0900, accessible: false },
+        { name: "Accessible entrance", lat: 42.3500, long: -71.0900, accessible: true }
+    ]
+};
+
+const nearby = async (query) => {
+    const res = mockResponse();
+    await getNearbyBuildings(mockRequest({ query: { lat: String(here.lat), lng: String(here.lng), ...query } }), res);
+    return res;
+};
+
+test("measures accessible searches to the closest accessible entrance", async (t) => {
+    t.mock.method(Building, "aggregate", async () => [library, gym, hall]);
+    const res = await nearby({ accessible: "true", radius: "500" });
+
+    assert.strictEqual(res.statusCode, 200);
+    const [{ $geoNear }] = Building.aggregate.mock.calls[0].arguments[0];
+    assert.strictEqual($geoNear.key, "entrances.location");
+    assert.deepStrictEqual($geoNear.query, { "entrances.accessible": true });
+
+    assert.deepStrictEqual(res.body.buildings.map(building => building.pointId), ["gym", "library"]);
+    const [first, second] = res.body.buildings;
+    assert.strictEqual(first.entrance.name, "Side door");
+    assert.strictEqual(first.distance, Math.round(distanceMeters(here, { lat: 42.3404, lng: -71.0900 })));
+    assert.strictEqual(second.entrance.name, "Rear ramp");
+    assert.strictEqual(second.entrance.automaticDoor, true);
+    assert.strictEqual(second.distance, Math.round(distanceMeters(here, { lat: 42.3412, lng: -71.0900 })));
+});
+
+test("applies the limit after sorting by entrance distance", async (t) => {
+    t.mock.method(Building, "aggregate", async () => [library, gym, hall]);
+    const res = await nearby({ accessible: "true", radius: "500", limit: "1" });
+
+    assert.strictEqual(res.body.count, 1);
+    assert.strictEqual(res.body.buildings[0].pointId, "gym");
+});
+
+test("measures other searches to the building pin", async (t) => {
+    t.mock.method(Building, "aggregate", async () => [{ ...library, distance: 11.4 }]);
+    const res = await nearby({});
+
+    const [{ $geoNear }, { $limit }] = Building.aggregate.mock.calls[0].arguments[0];
+    assert.strictEqual($geoNear.key, "location");
+    assert.strictEqual($limit, 20);
+    assert.strictEqual(res.body.buildings[0].distance, 11);
+    assert.strictEqual(res.body.buildings[0].entrance, undefined);
+});
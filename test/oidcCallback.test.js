@@ -0,0 +1,140 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const ISSUER = "https://sso.example.edu";
+process.env.OIDC_PROVIDERS = JSON.stringify([{
+    id: "campus",
+    issuer: ISSUER,
+    clientId: "xplore-nu",
+    redirectUri: "http://localhost:5000/auth/oidc/campus/callback"
+}]);
+
+const User = require("../src/models/user");
+const Session = require("../src/models/session");
+const AuditLog = require("../src/models/auditLog");
+const OidcState = require("../src/models/oidcState");
+const { oidcCallback } = require("../src/controllers/oidcController");
+const { createAuthRequest } = require("../src/utils/oidcClient");
+const { createSigningKey, mockSigningKeys, mockResponse, mockRequest } = require("./helpers");
+
+const signingKey = createSigningKey();
+const providerKey = createSigningKey();
+let pending;
+let tokenRequests;
+let idTokenClaims;
+let audits;
+
+/**
+ * Stands in for the provider: discovery document, JWKS and a token endpoint that returns an
+ * ID token signed with providerKey
+ */
+const mockProvider = (mock) => {
+    tokenRequests = [];
+    const json = (value) => ({ ok: true, status: 200, json: async () => value });
+    mock.method(globalThis, "fetch", async (url, options = {}) => {
+        if (url === `${ISSUER}/.well-known/openid-configuration`) {
+            return json({
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                jwks_uri: `${ISSUER}/jwks`
+            });
+        }
+        if (url === `${ISSUER}/jwks`) return json({ keys: [providerKey.publicJwk] });
+        if (url === `${ISSUER}/token`) {
+            tokenRequests.push(new URLSearchParams(options.body));
+            return json({
+                id_token: jwt.sign(idTokenClaims, providerKey.privateKey, {
+                    algorithm: "RS256",
+                    keyid: providerKey.kid,
+                    issuer: ISSUER,
+                    audience: "xplore-nu",
+                    expiresIn: 300
+                })
+            });
+        }
+        throw new Error(`Unexpected request to ${url}`);
+    });
+};
+
+beforeEach((t) => {
+    pending = {
+        state: "pending-state",
+        provider: "campus",
+        codeVerifier: "verifier-123",
+        nonce: "nonce-abc",
+        deviceName: "Laptop",
+        expiresAt: new Date(Date.now() + 60 * 1000)
+    };
+    idTokenClaims = { sub: "sso-42", email: "grace@u.northwestern.edu", email_verified: true, given_name: "Grace", family_name: "Hopper", nonce: pending.nonce };
+    audits = [];
+
+    mockSigningKeys(t.mock, [signingKey]);
+    mockProvider(t.mock);
+    t.mock.method(OidcState, "findOneAndDelete", async ({ state }) => {
+        if (!pending || state !== pending.state) return null;
+        const found = pending;
+        pending = null;
+        return found;
+    });
+    t.mock.method(User, "findOne", async () => null);
+    t.mock.method(User, "create", async (fields) => ({ _id: new mongoose.Types.ObjectId(), disabled: false, twoFactorEnabled: false, ...fields }));
+    t.mock.method(Session.prototype, "save", async function () { return this; });
+    t.mock.method(AuditLog, "create", async (entry) => audits.push(entry));
+});
+
+const callback = async (query) => {
+    const res = mockResponse();
+    await oidcCallback(mockRequest({ params: { provider: "campus" }, query }), res);
+    // Audit entries are written in the background
+    await new Promise(resolve => setImmediate(resolve));
+    return res;
+};
+
+test("signs in a new user, sending the PKCE verifier and auditing the registration and login", async () => {
+    const res = await callback({ code: "auth-code", state: "pending-state" });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.accessToken);
+    assert.strictEqual(tokenRequests[0].get("code"), "auth-code");
+    assert.strictEqual(tokenRequests[0].get("code_verifier"), "verifier-123");
+    assert.deepStrictEqual(audits.map(entry => entry.action), ["auth.register", "auth.login"]);
+    assert.strictEqual(audits[1].metadata.provider, "campus");
+});
+
+test("refuses an ID token with another nonce and audits the failure", async () => {
+    idTokenClaims.nonce = "someone-elses-nonce";
+    const res = await callback({ code: "auth-code", state: "pending-state" });
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(audits.length, 1);
+    assert.strictEqual(audits[0].action, "auth.login_failed");
+    assert.strictEqual(audits[0].metadata.reason, "sso_verification_failed");
+});
+
+test("redeems each state once", async () => {
+    assert.strictEqual((await callback({ code: "auth-code", state: "pending-state" })).statusCode, 200);
+    assert.strictEqual((await callback({ code: "auth-code", state: "pending-state" })).statusCode, 400);
+});
+
+test("refuses a state given as an object without querying for it", async () => {
+    const res = await callback({ code: "abc", state: { $ne: "x" } });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(OidcState.findOneAndDelete.mock.callCount(), 0);
+});
+
+test("refuses a code given as an array", async () => {
+    const res = await callback({ code: ["abc", "def"], state: "pending-state" });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(OidcState.findOneAndDelete.mock.callCount(), 0);
+});
+
+test("the PKCE challenge is the S256 hash of the verifier", () => {
+    const request = createAuthRequest();
+    const expected = crypto.createHash("sha256").update(request.codeVerifier).digest("base64url");
+    assert.strictEqual(request.codeChallenge, expected);
+    assert.match(request.codeVerifier, /^[A-Za-z0-9_-]{43}$/);
+});
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Building = require("../src/models/building");
+const { getPOIs } = require("../src/controllers/buildingController");
+const { mockResponse, mockRequest } = require("./helpers");
+
+const pois = [
+    { pointId: "boston", building_name: "Snell Library", lat: 42.3381, long: -71.0880, order: 1 },
+    { pointId: "london", building_name: "London campus", lat: 51.5226, long: -0.1316, order: 2 },
+    { pointId: "vancouver", building_name: "Vancouver campus", lat: 49.2830, long: -123.1150, order: 3 }
+];
+
+/** Stands in for Building.find, applying the viewport filter to the POIs above */
+const mockBuildings = (mock) => {
+    mock.method(Building, "find", (filter) => {
+        const inside = pois.filter(poi =>
+            poi.lat >= filter.lat.$gte && poi.lat <= filter.lat.$lte &&
+            poi.long >= filter.long.$gte && poi.long <= filter.long.$lte);
+        const chain = { select: () => chain, sort: () => chain, lean: async () => inside };
+        return chain;
+    });
+};
+
+const viewport = async (query) => {
+    const res = mockResponse();
+    await getPOIs(mockRequest({ query }), res);
+    return res;
+};
+
+test("filters a whole-world viewport as a flat rectangle", async (t) => {
+    mockBuildings(t.mock);
+    const res = await viewport({ bbox: "-180,-85,180,85", zoom: "1" });
+
+    assert.strictEqual(res.statusCode, 200);
+    const [filter] = Building.find.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { lat: { $gte: -85, $lte: 85 }, long: { $gte: -180, $lte: 180 } });
+    assert.strictEqual(res.body.count, 3);
+    assert.strictEqual(res.body.clustered, true);
+});
+
+test("keeps to the viewport edges on wide boxes", async (t) => {
+    mockBuildings(t.mock);
+    // 190 degrees wide; London lies just north of the box, where a geodesic edge would bulge to
+    const res = await viewport({ bbox: "-130,30,60,50" });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.pois.map(poi => poi.pointId).sort(), ["boston", "vancouver"]);
+});
+
+test("refuses a bbox whose minimum is not below its maximum", async (t) => {
+    mockBuildings(t.mock);
+    assert.strictEqual((await viewport({ bbox: "170,-10,-170,10" })).statusCode, 400);
+    assert.strictEqual(Building.find.mock.callCount(), 0);
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const Session = require("../src/models/session");
+const User = require("../src/models/user");
+const AuditLog = require("../src/models/auditLog");
+const { refreshToken } = require("../src/controllers/authController");
+const { signAccessToken, signRefreshToken } = require("../src/utils/tokens");
+const { setRevocationStore, createMemoryRevocationStore } = require("../src/utils/revocationStore");
+const hashToken = require("../src/utils/hashToken");
+const { createSigningKey, mockSigningKeys, mockResponse, mockRequest } = require("./helpers");
+
+const signingKey = createSigningKey();
+const user = { _id: new mongoose.Types.ObjectId(), email: "student@u.northwestern.edu", role: "student", disabled: false };
+
+/**
+ * Stands in for the sessions collection with a single session, applying the
+ * conditional update the way MongoDB would: match and write in one step
+ */
+const mockSessionStore = (mock, session) => {
+    const store = { session, deleted: false, audits: [] };
+    mock.method(Session, "findOne", async ({ _id }) => (!store.deleted && String(_id) === String(session._id) ? session : null));
+    mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+        if (store.deleted || filter.refreshTokenHash !== session.refreshTokenHash) return null;
+        Object.assign(session, update.$set);
+        return session;
+    });
+    mock.method(Session, "deleteOne", async () => {
+        store.deleted = true;
+        return { deletedCount: 1 };
+    });
+    mock.method(User, "findById", async () => user);
+    mock.method(AuditLog, "create", async (entry) => store.audits.push(entry));
+    return store;
+};
+
+const startSession = async () => {
+    const session = { _id: new mongoose.Types.ObjectId(), user: user._id, mfa: false };
+    const token = await signRefreshToken(user, session._id.toString());
+    session.refreshTokenHash = hashToken(token);
+    return { session, token };
+};
+
+const refresh = async (token) => {
+    const res = mockResponse();
+    await refreshToken(mockRequest({ body: { refreshToken: token } }), res);
+    return res;
+};
+
+beforeEach((t) => {
+    setRevocationStore(createMemoryRevocationStore());
+    mockSigningKeys(t.mock, [signingKey]);
+});
+
+test("rotates the refresh token and refuses the previous one", async (t) => {
+    const { session, token } = await startSession();
+    const store = mockSessionStore(t.mock, session);
+
+    const first = await refresh(token);
+    assert.strictEqual(first.statusCode, 200);
+    assert.notStrictEqual(first.body.refreshToken, token);
+    assert.strictEqual(session.refreshTokenHash, hashToken(first.body.refreshToken));
+
+    const replay = await refresh(token);
+    assert.strictEqual(replay.statusCode, 401);
+    assert.strictEqual(store.deleted, true, "reusing a rotated token ends the session");
+    assert.ok(store.audits.some(entry => entry.action === "auth.refresh_token_reuse"));
+
+    const afterReuse = await refresh(first.body.refreshToken);
+    assert.strictEqual(afterReuse.statusCode, 401, "the family is gone, including the newest token");
+});
+
+test("hands out only one token pair when the same token is refreshed concurrently", async (t) => {
+    const { session, token } = await startSession();
+    const store = mockSessionStore(t.mock, session);
+
+    const results = await Promise.all([refresh(token), refresh(token)]);
+    const statuses = results.map(res => res.statusCode).sort();
+
+    assert.deepStrictEqual(statuses, [200, 401]);
+    assert.strictEqual(store.deleted, true, "the losing request is treated as reuse");
+});
+
+test("refuses an access token without ending its session", async (t) => {
+    const { session, token } = await startSession();
+    const store = mockSessionStore(t.mock, session);
+
+    const accessToken = await signAccessToken(user, session._id.toString());
+    const res = await refresh(accessToken);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(store.deleted, false);
+    assert.strictEqual(Session.findOne.mock.callCount(), 0);
+    assert.deepStrictEqual(store.audits, []);
+
+    assert.strictEqual((await refresh(token)).statusCode, 200, "the real refresh token still works");
+});
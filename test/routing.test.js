@@ -0,0 +1,157 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const PathNode = require("../src/models/pathNode");
+const PathEdge = require("../src/models/pathEdge");
+const Building = require("../src/models/building");
+const AuditLog = require("../src/models/auditLog");
+const { buildGraph, findPath, invalidateGraph } = require("../src/utils/routing");
+const { distanceMeters } = require("../src/utils/geo");
+const { importPathGraph, getRoute } = require("../src/controllers/routeController");
+const { mockResponse, mockRequest } = require("./helpers");
+
+// A square of paths: west then north is short but has stairs, south then east is longer and step-free
+const nodes = [
+    { nodeId: "A", lat: 42.3400, long: -71.0900 },
+    { nodeId: "B", lat: 42.3405, long: -71.0900 },
+    { nodeId: "C", lat: 42.3400, long: -71.0893 },
+    { nodeId: "D", lat: 42.3405, long: -71.0893 }
+];
+const position = (nodeId) => {
+    const node = nodes.find(candidate => candidate.nodeId === nodeId);
+    return { lat: node.lat, lng: node.long };
+};
+const edge = (from, to, fields = {}) => ({ from, to, length: distanceMeters(position(from), position(to)), stairs: false, oneway: false, ...fields });
+const edges = [
+    edge("A", "B"),
+    edge("B", "D", { stairs: true }),
+    edge("A", "C", { length: 80 }),
+    edge("C", "D", { length: 80 })
+];
+const graph = buildGraph(nodes, edges);
+
+test("finds the shortest path", () => {
+    const path = findPath(graph, ["A"], ["D"]);
+    assert.deepStrictEqual(path.nodeIds, ["A", "B", "D"]);
+    assert.ok(Math.abs(path.distance - (edges[0].length + edges[1].length)) < 1e-9);
+});
+
+test("goes around edges that allowEdge refuses", () => {
+    const path = findPath(graph, ["A"], ["D"], { allowEdge: candidate => !candidate.stairs });
+    assert.deepStrictEqual(path.nodeIds, ["A", "C", "D"]);
+    assert.strictEqual(path.distance, 160);
+
+    assert.strictEqual(findPath(buildGraph(nodes, edges.slice(0, 2)), ["A"], ["D"], { allowEdge: candidate => !candidate.stairs }), null);
+});
+
+test("counts terminal costs when choosing between entrances", () => {
+    // B is reached first, but the walk from it to the entrance costs more than going on to D
+    const path = findPath(graph, ["A"], [{ nodeId: "B", cost: 500 }, { nodeId: "D", cost: 0 }]);
+    assert.strictEqual(path.goal.nodeId, "D");
+
+    const cheap = findPath(graph, [{ nodeId: "A", cost: 5 }], [{ nodeId: "B", cost: 1 }, { nodeId: "D", cost: 0 }]);
+    assert.strictEqual(cheap.goal.nodeId, "B");
+    assert.ok(Math.abs(cheap.distance - (5 + edges[0].length + 1)) < 1e-9);
+});
+
+/** Stands in for the database writes of an import, with a transaction that runs its callback once */
+const mockImport = (t) => {
+    const session = { id: "import-session" };
+    t.mock.method(PathNode.db, "transaction", async (fn) => fn(session));
+    t.mock.method(Building, "find", () => ({ select: () => ({ lean: async () => [] }) }));
+    t.mock.method(PathNode, "deleteMany", async () => ({}));
+    t.mock.method(PathEdge, "deleteMany", async () => ({}));
+    t.mock.method(PathNode, "insertMany", async (docs) => docs);
+    t.mock.method(PathEdge, "insertMany", async (docs) => docs);
+    t.mock.method(AuditLog, "create", async () => ({}));
+};
+
+const importGraph = async (importEdges) => {
+    const res = mockResponse();
+    await importPathGraph(mockRequest({ body: { nodes, edges: importEdges } }), res);
+    return res;
+};
+
+test("imports edges, defaulting their length to the straight line", async (t) => {
+    mockImport(t);
+    const res = await importGraph([{ from: "A", to: "B" }, { from: "A", to: "C", length: 80 }]);
+
+    assert.strictEqual(res.statusCode, 200);
+    const [imported] = PathEdge.insertMany.mock.calls[0].arguments;
+    assert.ok(Math.abs(imported[0].length - edges[0].length) < 1e-9);
+    assert.strictEqual(imported[1].length, 80);
+
+    // Every write of the swap belongs to the transaction
+    for (const method of [PathNode.deleteMany, PathEdge.deleteMany, PathNode.insertMany, PathEdge.insertMany]) {
+        assert.strictEqual(method.mock.calls[0].arguments[1].session.id, "import-session");
+    }
+});
+
+test("reports a failed swap without committing it", async (t) => {
+    mockImport(t);
+    let aborted = false;
+    // Mongoose aborts the transaction when its callback throws, leaving the current network in place
+    t.mock.method(PathNode.db, "transaction", async (fn) => {
+        try {
+            return await fn({ id: "import-session" });
+        } catch (error) {
+            aborted = true;
+            throw error;
+        }
+    });
+    t.mock.method(PathEdge, "insertMany", async () => { throw new Error("E11000 duplicate key error"); });
+    t.mock.method(console, "error", () => {});
+
+    const res = await importGraph([{ from: "A", to: "B" }]);
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(aborted, true);
+    assert.strictEqual(AuditLog.create.mock.callCount(), 0);
+});
+
+test("stores lengths just short of the straight line as the straight line", async (t) => {
+    mockImport(t);
+    const res = await importGraph([{ from: "A", to: "B", length: edges[0].length - 0.5 }]);
+
+    assert.strictEqual(res.statusCode, 200);
+    const [imported] = PathEdge.insertMany.mock.calls[0].arguments;
+    assert.strictEqual(imported[0].length, edges[0].length, "shorter edges would let the heuristic overestimate");
+});
+
+test("refuses edges shorter than the straight line between their nodes", async (t) => {
+    mockImport(t);
+    const res = await importGraph([{ from: "A", to: "B", length: 1 }]);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(PathEdge.deleteMany.mock.callCount(), 0);
+});
+
+test("refuses edge lengths that are not finite numbers", async (t) => {
+    mockImport(t);
+    for (const length of ["1", "80", null, Infinity, NaN, { $gt: 0 }]) {
+        const res = await importGraph([{ from: "A", to: "B", length }]);
+        assert.strictEqual(res.statusCode, 400, `length ${String(length)}`);
+    }
+    assert.strictEqual(PathEdge.deleteMany.mock.callCount(), 0);
+});
+
+test("returns a valid line when both buildings join the network at the same point", async (t) => {
+    invalidateGraph();
+    t.mock.method(PathNode, "find", () => ({ lean: async () => nodes }));
+    t.mock.method(PathEdge, "find", () => ({ lean: async () => edges }));
+    // Two buildings without entrances whose pins sit on node A
+    t.mock.method(Building, "find", () => ({
+        select: () => ({
+            lean: async () => [
+                { building_name: "Library", pointId: "library", lat: 42.3400, long: -71.0900, entrances: [] },
+                { building_name: "Annex", pointId: "annex", lat: 42.3400, long: -71.0900, entrances: [] }
+            ]
+        })
+    }));
+
+    const res = mockResponse();
+    await getRoute(mockRequest({ query: { from: "library", to: "annex" } }), res);
+    invalidateGraph();
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.geometry.type, "LineString");
+    assert.deepStrictEqual(res.body.geometry.coordinates, [[-71.0900, 42.3400], [-71.0900, 42.3400]]);
+    assert.strictEqual(res.body.distance, 0);
+});
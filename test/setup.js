@@ -0,0 +1,12 @@
+/**
+ * @module test/setup
+ * @description Loaded before every test file. Tests run offline, without a database or mail server.
+ */
+
+const mongoose = require("mongoose");
+
+// With buffering off, models do not wait for a connection and a query a test forgot to stub fails at once
+mongoose.set("bufferCommands", false);
+
+// Emails (lockout notices, OTPs) are printed instead of sent
+process.env.MAIL_DRIVER = "console";
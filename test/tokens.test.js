@@ -0,0 +1,81 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../src/models/user");
+const { verifyToken, signAccessToken, signRefreshToken } = require("../src/utils/tokens");
+const { authenticateJWT } = require("../src/middleware/authMiddlewares");
+const { setRevocationStore, createMemoryRevocationStore } = require("../src/utils/revocationStore");
+const { createSigningKey, mockSigningKeys, mockResponse, mockRequest } = require("./helpers");
+
+const signingKey = createSigningKey();
+const user = { _id: new mongoose.Types.ObjectId(), email: "student@u.northwestern.edu", role: "student", disabled: false };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const signLegacy = (payload) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+beforeEach((t) => {
+    process.env.JWT_SECRET = "legacy-secret";
+    setRevocationStore(createMemoryRevocationStore());
+    mockSigningKeys(t.mock, [signingKey]);
+    t.mock.method(User, "findById", () => ({ select: async () => user }));
+});
+
+afterEach(() => {
+    delete process.env.JWT_SECRET;
+    delete process.env.LEGACY_HS256_UNTIL;
+});
+
+const authenticate = async (token) => {
+    const res = mockResponse();
+    let passed = false;
+    await authenticateJWT(mockRequest({ headers: { authorization: token } }), res, () => { passed = true; });
+    return { res, passed };
+};
+
+test("verifies tokens signed by the key store", async () => {
+    const decoded = await verifyToken(await signAccessToken(user));
+    assert.strictEqual(decoded.typ, "access");
+    assert.strictEqual(decoded.email, user.email);
+});
+
+test("refuses legacy HS256 tokens when no cutoff is configured", async () => {
+    const token = signLegacy({ userId: user._id, email: user.email, role: user.role });
+    await assert.rejects(verifyToken(token), { name: "JsonWebTokenError" });
+});
+
+test("accepts legacy HS256 tokens until the cutoff and refuses them after it", async () => {
+    const token = signLegacy({ userId: user._id, email: user.email, role: user.role });
+
+    process.env.LEGACY_HS256_UNTIL = new Date(Date.now() + DAY_MS).toISOString();
+    assert.strictEqual((await verifyToken(token)).typ, "access");
+
+    process.env.LEGACY_HS256_UNTIL = new Date(Date.now() - DAY_MS).toISOString();
+    await assert.rejects(verifyToken(token), { name: "JsonWebTokenError" });
+});
+
+test("tells legacy refresh tokens apart from legacy access tokens", async () => {
+    process.env.LEGACY_HS256_UNTIL = new Date(Date.now() + DAY_MS).toISOString();
+
+    const legacyRefresh = signLegacy({ userId: user._id });
+    assert.strictEqual((await verifyToken(legacyRefresh)).typ, "refresh");
+    assert.strictEqual((await authenticate(legacyRefresh)).passed, false);
+
+    const legacyAccess = signLegacy({ userId: user._id, email: user.email, role: user.role });
+    assert.strictEqual((await authenticate(legacyAccess)).passed, true);
+});
+
+test("authenticateJWT accepts access tokens only", async () => {
+    assert.strictEqual((await authenticate(await signAccessToken(user))).passed, true);
+
+    const refresh = await authenticate(await signRefreshToken(user, String(new mongoose.Types.ObjectId())));
+    assert.strictEqual(refresh.passed, false);
+    assert.strictEqual(refresh.res.statusCode, 403);
+
+    const untyped = jwt.sign({ userId: user._id, email: user.email, role: user.role }, signingKey.privateKey, {
+        algorithm: "RS256",
+        keyid: signingKey.kid,
+        expiresIn: 60
+    });
+    assert.strictEqual((await authenticate(untyped)).passed, false);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { base32Encode, base32Decode, generateCode, verifyCode, currentStep } = require("../src/utils/totp");
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" with SHA-1
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("base32 round-trips bytes", () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    assert.deepStrictEqual(base32Decode(base32Encode(bytes)), bytes);
+    assert.strictEqual(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+});
+
+test("matches the RFC 6238 test vectors (last six digits)", () => {
+    assert.strictEqual(generateCode(RFC_SECRET, currentStep(59 * 1000)), "287082");
+    assert.strictEqual(generateCode(RFC_SECRET, currentStep(1111111109 * 1000)), "081804");
+    assert.strictEqual(generateCode(RFC_SECRET, currentStep(1234567890 * 1000)), "005924");
+    assert.strictEqual(generateCode(RFC_SECRET, currentStep(2000000000 * 1000)), "279037");
+});
+
+test("accepts codes one step either side of now and refuses older or newer ones", (t) => {
+    const now = 1760000000 * 1000;
+    t.mock.method(Date, "now", () => now);
+    const step = currentStep(now);
+
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step)), step);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1)), step - 1);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1)), step + 1);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2)), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2)), null);
+});
+
+test("refuses a code whose step has already been used", (t) => {
+    const now = 1760000000 * 1000;
+    t.mock.method(Date, "now", () => now);
+    const step = currentStep(now);
+    const code = generateCode(RFC_SECRET, step);
+
+    assert.strictEqual(verifyCode(RFC_SECRET, code, { lastUsedStep: step }), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { lastUsedStep: step }), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { lastUsedStep: step }), step + 1);
+});
+
+test("refuses anything that is not six digits", () => {
+    assert.strictEqual(verifyCode(RFC_SECRET, "12345"), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, "1234567"), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, "12a456"), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, 287082), null);
+});
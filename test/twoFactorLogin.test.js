@@ -0,0 +1,178 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const User = require("../src/models/user");
+const Session = require("../src/models/session");
+const AuditLog = require("../src/models/auditLog");
+const { verifyTwoFactorLogin, disableTwoFactor, regenerateBackupCodes } = require("../src/controllers/twoFactorController");
+const { signTwoFactorChallenge } = require("../src/utils/tokens");
+const { generateSecret, generateCode, currentStep } = require("../src/utils/totp");
+const { setRevocationStore, createMemoryRevocationStore } = require("../src/utils/revocationStore");
+const hashToken = require("../src/utils/hashToken");
+const { createSigningKey, mockSigningKeys, mockThrottleStore, mockResponse, mockRequest } = require("./helpers");
+
+const signingKey = createSigningKey();
+let user;
+let audits;
+let throttle;
+
+beforeEach((t) => {
+    setRevocationStore(createMemoryRevocationStore());
+    mockSigningKeys(t.mock, [signingKey]);
+    throttle = mockThrottleStore(t.mock);
+    user = {
+        _id: new mongoose.Types.ObjectId(),
+        email: "admin@u.northwestern.edu",
+        role: "admin",
+        disabled: false,
+        twoFactorEnabled: true,
+        twoFactorSecret: generateSecret(),
+        twoFactorLastUsedStep: null,
+        twoFactorBackupCodes: [hashToken("a1b2c3d4e5")],
+        save: async () => user
+    };
+    t.mock.method(User, "findById", async () => user);
+    t.mock.method(Session.prototype, "save", async function () { return this; });
+    audits = [];
+    t.mock.method(AuditLog, "create", async (entry) => audits.push(entry));
+});
+
+const verify = async (body) => {
+    const res = mockResponse();
+    await verifyTwoFactorLogin(mockRequest({ body }), res);
+    // Audit entries are written in the background
+    await new Promise(resolve => setImmediate(resolve));
+    return res;
+};
+
+test("exchanges a challenge token and a current code for a two-factor session", async () => {
+    const challengeToken = await signTwoFactorChallenge(user);
+    const res = await verify({ challengeToken, code: generateCode(user.twoFactorSecret, currentStep()) });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.accessToken);
+    assert.strictEqual(user.twoFactorLastUsedStep, currentStep());
+});
+
+test("refuses to reuse a challenge token", async () => {
+    const challengeToken = await signTwoFactorChallenge(user);
+    assert.strictEqual((await verify({ challengeToken, code: generateCode(user.twoFactorSecret, currentStep()) })).statusCode, 200);
+
+    const replay = await verify({ challengeToken, code: generateCode(user.twoFactorSecret, currentStep() + 1) });
+    assert.strictEqual(replay.statusCode, 401);
+});
+
+test("refuses a TOTP code that was already used, even with a new challenge", async () => {
+    const code = generateCode(user.twoFactorSecret, currentStep());
+    assert.strictEqual((await verify({ challengeToken: await signTwoFactorChallenge(user), code })).statusCode, 200);
+
+    const replay = await verify({ challengeToken: await signTwoFactorChallenge(user), code });
+    assert.strictEqual(replay.statusCode, 401);
+});
+
+test("signs in only once when the same challenge is used concurrently", async () => {
+    const challengeToken = await signTwoFactorChallenge(user);
+    const results = await Promise.all([
+        verify({ challengeToken, code: generateCode(user.twoFactorSecret, currentStep()) }),
+        verify({ challengeToken, backupCode: "a1b2c3d4e5" })
+    ]);
+
+    assert.deepStrictEqual(results.map(res => res.statusCode).sort(), [200, 401]);
+    assert.strictEqual(Session.prototype.save.mock.callCount(), 1);
+});
+
+test("accepts each recovery code once", async () => {
+    const first = await verify({ challengeToken: await signTwoFactorChallenge(user), backupCode: "A1B2C3D4E5" });
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.body.backupCodesRemaining, 0);
+
+    const replay = await verify({ challengeToken: await signTwoFactorChallenge(user), backupCode: "a1b2c3d4e5" });
+    assert.strictEqual(replay.statusCode, 401);
+});
+
+test("audits completed logins and wrong codes", async () => {
+    // A code from well outside the drift window
+    const wrong = await verify({ challengeToken: await signTwoFactorChallenge(user), code: generateCode(user.twoFactorSecret, currentStep() + 10) });
+    assert.strictEqual(wrong.statusCode, 401);
+    assert.strictEqual(audits[0].action, "auth.login_failed");
+    assert.strictEqual(audits[0].metadata.reason, "invalid_totp");
+
+    await verify({ challengeToken: await signTwoFactorChallenge(user), backupCode: "nope" });
+    assert.strictEqual(audits[1].metadata.reason, "invalid_backup_code");
+
+    const ok = await verify({ challengeToken: await signTwoFactorChallenge(user), code: generateCode(user.twoFactorSecret, currentStep()) });
+    assert.strictEqual(ok.statusCode, 200);
+    assert.strictEqual(audits[2].action, "auth.login");
+    assert.strictEqual(audits[2].metadata.secondFactor, "totp");
+    assert.strictEqual(String(audits[2].actor), String(user._id));
+});
+
+test("audits regenerated recovery codes", async () => {
+    const res = mockResponse();
+    const req = mockRequest({ body: { code: generateCode(user.twoFactorSecret, currentStep()) }, user: { userId: String(user._id) } });
+    await regenerateBackupCodes(req, res);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.backupCodes.length, user.twoFactorBackupCodes.length);
+    assert.deepStrictEqual(audits.map(entry => entry.action), ["auth.2fa_backup_codes_regenerated"]);
+});
+
+/** Sends an account change that needs a second factor, as the signed-in user */
+const confirm = async (handler, body, ip = "203.0.113.10") => {
+    const res = mockResponse();
+    await handler(mockRequest({ body, ip, user: { userId: String(user._id) } }), res);
+    await new Promise(resolve => setImmediate(resolve));
+    return res;
+};
+
+test("locks out guessing codes to turn off two-factor authentication", async () => {
+    user.role = "student";
+    const wrongCode = generateCode(user.twoFactorSecret, currentStep() + 10);
+
+    let res;
+    for (let attempt = 0; attempt < 10; attempt++) {
+        res = await confirm(disableTwoFactor, { code: wrongCode });
+        if (res.statusCode !== 400) break;
+    }
+    assert.strictEqual(res.statusCode, 423);
+    assert.ok(Number(res.headers["retry-after"]) > 0);
+
+    const correct = await confirm(disableTwoFactor, { code: generateCode(user.twoFactorSecret, currentStep()) });
+    assert.strictEqual(correct.statusCode, 423, "a correct code is refused while locked out");
+    assert.strictEqual(user.twoFactorEnabled, true);
+
+    assert.ok(audits.length > 0);
+    assert.ok(audits.every(entry => entry.action === "auth.2fa_verify_failed" && entry.metadata.operation === "disable"));
+    assert.strictEqual(audits[audits.length - 1].metadata.lockedOut, true);
+});
+
+test("locks out guessing codes to mint recovery codes, sharing the two-factor login counter", async () => {
+    const wrongCode = generateCode(user.twoFactorSecret, currentStep() + 10);
+    for (let attempt = 0; attempt < 4; attempt++) {
+        assert.strictEqual((await confirm(regenerateBackupCodes, { code: wrongCode })).statusCode, 400);
+    }
+    assert.strictEqual(throttle.get(`2fa_verify:account:${user._id}`).failures, 4);
+
+    let res;
+    for (let attempt = 0; attempt < 6; attempt++) {
+        res = await confirm(regenerateBackupCodes, { code: wrongCode });
+        if (res.statusCode !== 400) break;
+    }
+    assert.strictEqual(res.statusCode, 423);
+    assert.strictEqual(audits[0].metadata.operation, "regenerate_backup_codes");
+
+    // The login step for the same account is locked out as well
+    const login = await verify({ challengeToken: await signTwoFactorChallenge(user), code: generateCode(user.twoFactorSecret, currentStep()) });
+    assert.strictEqual(login.statusCode, 423);
+});
+
+test("clears the account counter after a correct code", async () => {
+    const wrongCode = generateCode(user.twoFactorSecret, currentStep() + 10);
+    await confirm(regenerateBackupCodes, { code: wrongCode });
+    assert.ok(throttle.has(`2fa_verify:account:${user._id}`));
+
+    assert.strictEqual((await confirm(regenerateBackupCodes, { code: generateCode(user.twoFactorSecret, currentStep()) })).statusCode, 200);
+    assert.strictEqual(throttle.has(`2fa_verify:account:${user._id}`), false);
+    assert.ok(throttle.has("2fa_verify:ip:203.0.113.10"), "the IP counter is left to expire");
+});